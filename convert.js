@@ -0,0 +1,23 @@
+require('dotenv').config()
+const logger = require('./src/util/logger.js')
+const BinaryUtils = require('./src/util/binary_utils.js')
+
+/**
+ * Converts a CSV file to the binary columnar format read by `BinaryUtils`, storing the timestamp and OHLCV columns.
+ * The file is converted in chunks of `CONVERT_CHUNK_SIZE` rows, so it may be larger than memory.
+ * Usage: node convert.js <csvFilename> <binaryFilename>
+ */
+;(async () => {
+  const [csvFilename = process.env.CSV_FILENAME, binaryFilename = process.env.BINARY_FILENAME] = process.argv.slice(2)
+  if (!csvFilename || !binaryFilename) {
+    logger.error('convert: usage: node convert.js <csvFilename> <binaryFilename>')
+    process.exitCode = 1
+    return
+  }
+  const chunkSize = process.env.CONVERT_CHUNK_SIZE ? +process.env.CONVERT_CHUNK_SIZE : undefined
+  const rowCount = await BinaryUtils.convertCsv(csvFilename, binaryFilename, { chunkSize })
+  logger.info(`convert: ${csvFilename} -> ${binaryFilename}, length=${rowCount}`)
+})().catch(err => {
+  logger.error(`convert: ${err.message}`)
+  process.exitCode = 1
+})
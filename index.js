@@ -4,6 +4,17 @@ const TimeUtils = require('./src/util/time_utils.js')
 const FileUtils = require('./src/util/file_utils.js')
 const OhlcUtils = require('./src/util/ohlc_utils.js')
 const ChartUtils = require('./src/util/chart_utils.js')
+const BinaryUtils = require('./src/util/binary_utils.js')
+const BatchUtils = require('./src/util/batch_utils.js')
+const ValidationUtils = require('./src/util/validation_utils.js')
+const ResampleUtils = require('./src/util/resample_utils.js')
+const ReplaySource = require('./src/util/replay_source.js')
+const LiveFeed = require('./src/util/live_feed.js')
+const SeriesApi = require('./src/util/series_api.js')
+const Backtester = require('./src/backtester.js')
+const SweepUtils = require('./src/util/sweep_utils.js')
+const QuantileUtils = require('./src/util/quantile_utils.js')
+const WorkerPool = require('./src/util/worker_pool.js')
 const Ohlc = require('./src/ohlc.js')
 const Server = require('./src/util/server.js')
 const fs = require('fs')
@@ -19,6 +30,33 @@ process.on('unhandledRejection', err => logger.error(`unhandledRejection: ${err.
  */
 ;(async () => {
   const stats = {}
+  const routes = {} // server routes, served before the public directory
+  const kernels = (process.env.CALC_KERNELS || 'naive,incremental,simd').split(',').map(kernel => kernel.trim())
+  const jsKernels = kernels.filter(kernel => kernel !== 'simd') // the simd kernel only applies to an OhlcSystem in WebAssembly memory
+  const params = JSON.parse(process.env.CALC_PARAMS || '{}') // indicator parameter overrides keyed by indicator name
+  const validation = process.env.CSV_VALIDATION || 'report' // 'off', 'report' or 'repair'
+  const logValidation = (name, report) => {
+    for (const { type, line, message } of report.anomalies) {
+      logger.warn(`main: ${name} validation: line ${line}: ${type}: ${message}`)
+    }
+    logger.info(`main: ${name} validation: counts=${JSON.stringify(report.counts)}, interval=${report.interval}, repaired=${JSON.stringify(report.repaired)}`)
+  }
+  const downsample = process.env.CHART_DOWNSAMPLE || 'sample' // 'sample', 'lttb' or 'minmax'
+  // e.g. BACKTEST_ENTRY='rsis < 30 && closes < hlc3StdevLowers', BACKTEST_EXIT='rsis > 70'
+  const backtest = {
+    entry: process.env.BACKTEST_ENTRY,
+    exit: process.env.BACKTEST_EXIT,
+    fee: process.env.BACKTEST_FEE ? +process.env.BACKTEST_FEE : undefined,
+    slippage: process.env.BACKTEST_SLIPPAGE ? +process.env.BACKTEST_SLIPPAGE : undefined,
+    size: process.env.BACKTEST_SIZE ? +process.env.BACKTEST_SIZE : undefined,
+    capital: process.env.BACKTEST_CAPITAL ? +process.env.BACKTEST_CAPITAL : undefined
+  }
+  // e.g. RESAMPLE_TIMEFRAMES=5m,15m,1h,4h,1d
+  const timeframes = process.env.RESAMPLE_TIMEFRAMES ? process.env.RESAMPLE_TIMEFRAMES.split(',').map(timeframe => timeframe.trim()) : []
+  const benchmarkOptions = {
+    warmup: process.env.BENCHMARK_WARMUP ? +process.env.BENCHMARK_WARMUP : 1,
+    iterations: process.env.BENCHMARK_ITERATIONS ? +process.env.BENCHMARK_ITERATIONS : 5
+  }
 
   logger.info(`main: CSV_FILENAME=${process.env.CSV_FILENAME}`)
   const lineCount = await TimeUtils.runAsync(
@@ -26,23 +64,87 @@ process.on('unhandledRejection', err => logger.error(`unhandledRejection: ${err.
     () => FileUtils.lineCount(process.env.CSV_FILENAME))
   logger.info(`main: lineCount=${lineCount}`)
 
+  // compare CSV parsing with loading the binary columnar format, converting the CSV file if needed
+  const binaryFilename = process.env.BINARY_FILENAME
+  if (binaryFilename && !fs.existsSync(binaryFilename)) {
+    await TimeUtils.runAsync(
+      stats, 'convertToBinarySeconds', 'main: BinaryUtils.convertCsv',
+      () => BinaryUtils.convertCsv(process.env.CSV_FILENAME, binaryFilename, {
+        chunkSize: process.env.CONVERT_CHUNK_SIZE ? +process.env.CONVERT_CHUNK_SIZE : undefined
+      }))
+  }
+
+  // the benchmark series of the rolling correlation and beta (see the pair indicator), aligned on timestamps
+  if (process.env.PAIR_CSV_FILENAME) {
+    const pair = await TimeUtils.runAsync(
+      stats, 'parsePairFromCsvSeconds', 'main: parseOhlcSystemFromCsv(PAIR_CSV_FILENAME)',
+      () => OhlcUtils.parseOhlcSystemFromCsv(process.env.PAIR_CSV_FILENAME))
+    logger.info(`main: PAIR_CSV_FILENAME=${process.env.PAIR_CSV_FILENAME}, length=${pair.length}`)
+    // copies of the columns rather than the system, so the params can be posted to worker threads
+    const benchmark = { timestamps: pair.timestamps.slice(0, pair.length), closes: pair.closes.slice(0, pair.length), length: pair.length }
+    params.pair = { ...params.pair, benchmark }
+  }
+
   { // benchmark Array-of-Structs
     stats.ohlcs = {}
-    const ohlcs = await TimeUtils.runAsync(
+    let ohlcs = await TimeUtils.runAsync(
       stats.ohlcs, 'parseOhlcsFromCsvSeconds', 'main: OhlcUtils.parseOhlcsFromCsv',
       () => OhlcUtils.parseOhlcsFromCsv(process.env.CSV_FILENAME, lineCount))
     logger.info(`main: ohlcs.length=${ohlcs.length}`)
 
-    const medians = TimeUtils.run(
-      stats.ohlcs, 'calculateAllSeconds', 'main: Ohlc.calculateAll',
-      () => Ohlc.calculateAll(ohlcs, +process.env.CALC_WINDOW))
-    logger.info(`main: ohlc, medians=${JSON.stringify(medians)}`)
+    if (validation !== 'off') {
+      const result = TimeUtils.run(
+        stats.ohlcs, 'validateSeconds', 'main: ValidationUtils.validateOhlcs',
+        () => ValidationUtils.validateOhlcs(ohlcs, { repair: validation === 'repair' }))
+      ohlcs = result.ohlcs
+      stats.ohlcs.validation = result.report
+      logValidation('ohlcs', result.report)
+    }
+
+    if (timeframes.length > 0) {
+      stats.ohlcs.resample = {}
+      for (const timeframe of timeframes) {
+        try { // e.g. rows out of order when validation did not repair them, or a timeframe finer than the rows
+          const resampled = TimeUtils.run(
+            stats.ohlcs.resample, timeframe, `main: ResampleUtils.resampleOhlcs(${timeframe})`,
+            () => ResampleUtils.resampleOhlcs(ohlcs, ResampleUtils.parseTimeframe(timeframe)))
+          logger.info(`main: ohlcs, timeframe=${timeframe}, length=${resampled.length}`)
+        } catch (err) {
+          logger.warn(`main: ohlcs, timeframe=${timeframe}, resampling skipped: ${err.message}`)
+        }
+      }
+    }
+
+    if (binaryFilename) {
+      const binaryOhlcs = await TimeUtils.benchmark(
+        stats.ohlcs, 'loadOhlcsFromBinary', 'main: BinaryUtils.readOhlcs',
+        () => BinaryUtils.readOhlcs(binaryFilename), benchmarkOptions)
+      logger.info(`main: binary ohlcs.length=${binaryOhlcs.length}`)
+    }
+
+    stats.ohlcs.calculateAll = {}
+    let medians
+    for (const kernel of jsKernels) {
+      medians = await TimeUtils.benchmark(
+        stats.ohlcs.calculateAll, kernel, `main: Ohlc.calculateAll(${kernel})`,
+        () => Ohlc.calculateAll(ohlcs, +process.env.CALC_WINDOW, kernel, params), benchmarkOptions)
+      logger.info(`main: ohlc, kernel=${kernel}, medians=${JSON.stringify(medians)}`)
+    }
+
+    // medians by sorting, by selection and by streaming estimation, e.g. stats.ohlcs.medians.select
+    stats.ohlcs.medians = {}
+    for (const method of QuantileUtils.METHODS) {
+      const methodMedians = await TimeUtils.benchmark(
+        stats.ohlcs.medians, method, `main: Ohlc.medians(${method})`,
+        () => Ohlc.medians(ohlcs, method), benchmarkOptions)
+      logger.info(`main: ohlc, method=${method}, medians=${JSON.stringify(methodMedians)}`)
+    }
 
     TimeUtils.run(
       stats.ohlcs, 'writeOhlcsSamplesSeconds', 'main: ChartUtils.writeOhlcsSamples',
       () => ChartUtils.writeOhlcsSamples(
         ohlcs, process.env.CSV_FILENAME,
-        +process.env.CHART_SAMPLES, +process.env.CHART_TAIL))
+        +process.env.CHART_SAMPLES, +process.env.CHART_TAIL, { downsample }))
     fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlcs-medians.json`, JSON.stringify({
       title: `${process.env.CSV_FILENAME} - OHLCs - Medians`,
       medians: medians
@@ -51,27 +153,160 @@ process.on('unhandledRejection', err => logger.error(`unhandledRejection: ${err.
 
   { // benchmark Struct-of-Arrays
     stats.ohlcSystem = {}
-    const ohlcSystem = await TimeUtils.runAsync(
+    let ohlcSystem = await TimeUtils.runAsync(
       stats.ohlcSystem, 'parseOhlcsFromCsvSeconds', 'main: parseOhlcSystemFromCsv',
       () => OhlcUtils.parseOhlcSystemFromCsv(process.env.CSV_FILENAME, lineCount))
     logger.info(`main: ohlcSystem.length=${ohlcSystem.length}`)
 
-    const medians = TimeUtils.run(
-      stats.ohlcSystem, 'calculateAllSeconds', 'main: ohlcSystem.calculateAll',
-      () => ohlcSystem.calculateAll(+process.env.CALC_WINDOW))
-    logger.info(`main: ohlcSystem, medians=${JSON.stringify(medians)}`)
+    if (validation !== 'off') {
+      const result = TimeUtils.run(
+        stats.ohlcSystem, 'validateSeconds', 'main: ValidationUtils.validateOhlcSystem',
+        () => ValidationUtils.validateOhlcSystem(ohlcSystem, { repair: validation === 'repair' }))
+      ohlcSystem = result.ohlcSystem
+      stats.ohlcSystem.validation = result.report
+      logValidation('ohlcSystem', result.report)
+    }
+
+    if (timeframes.length > 0) {
+      stats.ohlcSystem.resample = {}
+      for (const timeframe of timeframes) {
+        try { // e.g. rows out of order when validation did not repair them, or a timeframe finer than the rows
+          const resampled = TimeUtils.run(
+            stats.ohlcSystem.resample, timeframe, `main: ResampleUtils.resampleOhlcSystem(${timeframe})`,
+            () => ResampleUtils.resampleOhlcSystem(ohlcSystem, ResampleUtils.parseTimeframe(timeframe)))
+          logger.info(`main: ohlcSystem, timeframe=${timeframe}, length=${resampled.length}`)
+        } catch (err) {
+          logger.warn(`main: ohlcSystem, timeframe=${timeframe}, resampling skipped: ${err.message}`)
+        }
+      }
+    }
+
+    if (binaryFilename) {
+      const binaryOhlcSystem = await TimeUtils.benchmark(
+        stats.ohlcSystem, 'loadOhlcSystemFromBinary', 'main: BinaryUtils.readOhlcSystem',
+        () => BinaryUtils.readOhlcSystem(binaryFilename), benchmarkOptions)
+      logger.info(`main: binary ohlcSystem.length=${binaryOhlcSystem.length}`)
+    }
+
+    stats.ohlcSystem.calculateAll = {}
+    let medians
+    for (const kernel of kernels) {
+      const kernelOhlcSystem = kernel === 'simd' ? ohlcSystem.toWasm() : ohlcSystem
+      medians = await TimeUtils.benchmark(
+        stats.ohlcSystem.calculateAll, kernel, `main: ohlcSystem.calculateAll(${kernel})`,
+        () => kernelOhlcSystem.calculateAll(+process.env.CALC_WINDOW, kernel, params), benchmarkOptions)
+      logger.info(`main: ohlcSystem, kernel=${kernel}, medians=${JSON.stringify(medians)}`)
+    }
+
+    stats.ohlcSystem.medians = {}
+    for (const method of QuantileUtils.METHODS) {
+      const methodMedians = await TimeUtils.benchmark(
+        stats.ohlcSystem.medians, method, `main: ohlcSystem.medians(${method})`,
+        () => ohlcSystem.medians(method), benchmarkOptions)
+      logger.info(`main: ohlcSystem, method=${method}, medians=${JSON.stringify(methodMedians)}`)
+    }
+
+    if (backtest.entry && backtest.exit) {
+      const result = TimeUtils.run(
+        stats.ohlcSystem, 'backtestSeconds', 'main: Backtester.run',
+        () => new Backtester(backtest).run(ohlcSystem, backtest.entry, backtest.exit))
+      stats.ohlcSystem.backtest = result.stats
+      logger.info(`main: backtest, entry=${backtest.entry}, exit=${backtest.exit}, stats=${JSON.stringify(result.stats)}`)
+    }
+
+    if (process.env.CALC_THREADS) { // benchmark worker threads calculating in place in a shared arena, e.g. CALC_THREADS=1,2,4
+      const kernel = jsKernels[jsKernels.length - 1] || 'incremental'
+      const sharedOhlcSystem = ohlcSystem.toShared()
+      stats.ohlcSystem.calculateAllInParallel = {}
+      for (const threads of process.env.CALC_THREADS.split(',').map(threads => +threads)) {
+        const pool = new WorkerPool(threads)
+        try {
+          const parallelMedians = await TimeUtils.benchmark(
+            stats.ohlcSystem.calculateAllInParallel, threads, `main: ohlcSystem.calculateAllInParallel(${kernel}, threads=${threads})`,
+            () => sharedOhlcSystem.calculateAllInParallel(pool, +process.env.CALC_WINDOW, kernel, params), benchmarkOptions)
+          const parallel = stats.ohlcSystem.calculateAllInParallel[threads]
+          parallel.speedup = stats.ohlcSystem.calculateAll[kernel].seconds.median / parallel.seconds.median
+          logger.info(`main: ohlcSystem, threads=${threads}, speedup=${parallel.speedup}, medians=${JSON.stringify(parallelMedians)}`)
+        } finally {
+          await pool.close()
+        }
+      }
+    }
 
     TimeUtils.run(
       stats.ohlcSystem, 'writeOhlcsSamplesSeconds', 'main: ChartUtils.writeOhlcSystemSamples',
       () => ChartUtils.writeOhlcSystemSamples(
         ohlcSystem, process.env.CSV_FILENAME,
-        +process.env.CHART_SAMPLES, +process.env.CHART_TAIL))
+        +process.env.CHART_SAMPLES, +process.env.CHART_TAIL, { downsample }))
     fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlc-system-medians.json`, JSON.stringify({
       title: `${process.env.CSV_FILENAME} - OHLC System - Medians`,
       medians: medians
     }))
+
+    // query the calculated components over the full range, e.g. /api/series?columns=closes,rsis&from=2021-01-01&maxPoints=2000
+    Object.assign(routes, new SeriesApi(ohlcSystem, { maxPoints: +process.env.CHART_SAMPLES || 2000, downsample, backtest }).routes())
+
+    // sweep the calculation over a grid or random search, e.g. SWEEP_WINDOWS=5:50:5, SWEEP_PARAMS={"multiplier":"1.5:3:0.5"}
+    if (process.env.SWEEP_WINDOWS || process.env.SWEEP_KERNELS || process.env.SWEEP_PARAMS) {
+      const dimensions = {
+        window: SweepUtils.parseValues(process.env.SWEEP_WINDOWS || process.env.CALC_WINDOW),
+        kernel: SweepUtils.parseValues(process.env.SWEEP_KERNELS || kernels[kernels.length - 1])
+      }
+      for (const [name, spec] of Object.entries(JSON.parse(process.env.SWEEP_PARAMS || '{}'))) {
+        dimensions[name] = SweepUtils.parseValues(spec)
+      }
+      const points = process.env.SWEEP_MODE === 'random'
+        ? SweepUtils.random(dimensions, +process.env.SWEEP_SAMPLES || 20, +process.env.SWEEP_SEED || 1)
+        : SweepUtils.grid(dimensions)
+      const sweepBacktest = backtest.entry && backtest.exit ? backtest : null
+      const rows = await TimeUtils.runAsync(
+        stats.ohlcSystem, 'sweepSeconds', `main: SweepUtils.sweep(points=${points.length})`,
+        () => SweepUtils.sweep(ohlcSystem.copy(), points, { params, backtest: sweepBacktest, benchmarkOptions })) // the copy keeps the charted components
+      stats.ohlcSystem.sweep = rows
+      fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/sweep.json`, JSON.stringify({
+        title: `${process.env.CSV_FILENAME} - OHLC System - Sweep`,
+        dimensions: Object.keys(dimensions),
+        metrics: SweepUtils.metrics(sweepBacktest),
+        rows
+      }))
+    }
+  }
+
+  if (binaryFilename && process.env.BATCH_SIZE) { // benchmark Struct-of-Arrays in batches, streaming results to disk
+    stats.ohlcSystemBatches = {}
+    const batchOutputFilename = process.env.BATCH_OUTPUT_FILENAME || binaryFilename.replace(/(\.bin)?$/, '-indicators.bin')
+    const result = await TimeUtils.benchmark(
+      stats.ohlcSystemBatches, 'calculateInBatches', 'main: BatchUtils.calculateInBatches',
+      () => BatchUtils.calculateInBatches(binaryFilename, batchOutputFilename, {
+        batchSize: +process.env.BATCH_SIZE,
+        window: +process.env.CALC_WINDOW,
+        kernel: kernels[kernels.length - 1],
+        params: params,
+        overlap: process.env.BATCH_OVERLAP ? +process.env.BATCH_OVERLAP : undefined
+      }), benchmarkOptions)
+    logger.info(`main: batches, output=${batchOutputFilename}, result=${JSON.stringify(result)}`)
   }
 
   fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/stats.json`, JSON.stringify(stats))
-  Server.start()
+
+  if (process.env.LIVE_REPLAY_FILENAME) { // replay a CSV file as a live feed to `live.html`
+    const replay = await ReplaySource.fromCsv(process.env.LIVE_REPLAY_FILENAME, {
+      speed: process.env.LIVE_REPLAY_SPEED ? +process.env.LIVE_REPLAY_SPEED : 3600,
+      ticks: process.env.LIVE_REPLAY_TICKS ? +process.env.LIVE_REPLAY_TICKS : 1,
+      start: process.env.LIVE_REPLAY_START ? Date.parse(process.env.LIVE_REPLAY_START) : undefined
+    })
+    const liveFeed = new LiveFeed(+process.env.CALC_WINDOW, {
+      kernel: jsKernels[jsKernels.length - 1] || 'incremental',
+      params: params,
+      history: process.env.LIVE_HISTORY ? +process.env.LIVE_HISTORY : 200
+    })
+    liveFeed.load(replay.history())
+    replay.on('candle', (candle, options) => liveFeed.append(candle, options))
+    replay.on('end', () => logger.info('main: live replay ended'))
+    replay.on('error', err => logger.error(`main: live replay: ${err.message}`))
+    replay.start()
+    logger.info(`main: live replay, filename=${process.env.LIVE_REPLAY_FILENAME}, history=${liveFeed.ohlcSystem.length}, candles=${replay.candles.length - replay.startIndex}`)
+    routes['/live'] = (request, response) => liveFeed.subscribe(request, response)
+  }
+  Server.start(routes)
 })()
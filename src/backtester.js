@@ -0,0 +1,146 @@
+const Rule = require('./rule.js')
+const ValidationUtils = require('./util/validation_utils.js')
+
+const MILLIS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000
+
+/**
+ * Backtester of a long-only strategy over the calculated components of an OhlcSystem.
+ * The entry and exit rules (see `Rule`) are evaluated over whole columns first, then positions are simulated bar by bar:
+ * - a rule holding at a row acts at the open of the next row, so no trade uses the close it was decided on
+ * - buys fill `slippage` above the open and sells `slippage` below, each paying a `fee` of the traded value
+ * - each entry invests `size` of the equity; a position still open at the last row is sold at its close
+ * - rows without a valid open price (e.g. a zero price in the source data) are not traded
+ * The equity of each row is the cash plus the position valued at the close.
+ */
+module.exports = class Backtester {
+  /**
+   * @param fee the fee of each trade, as a fraction of the traded value
+   * @param slippage the fraction of the price lost to slippage on each trade
+   * @param size the fraction of the equity invested by each entry
+   * @param capital the initial equity
+   */
+  constructor ({ fee = 0.001, slippage = 0.0005, size = 1.0, capital = 10000 } = {}) {
+    if (!(fee >= 0) || !(slippage >= 0 && slippage < 1) || !(size > 0 && size <= 1) || !(capital > 0)) {
+      throw new Error(`backtest is invalid: fee=${fee}, slippage=${slippage}, size=${size}, capital=${capital}`)
+    }
+    this.fee = fee
+    this.slippage = slippage
+    this.size = size
+    this.capital = capital
+  }
+
+  /**
+   * @param ohlcSystem the calculated OhlcSystem
+   * @param entry the rule entering a position, e.g. `rsis < 30 && closes < hlc3StdevLowers`
+   * @param exit the rule exiting the position, e.g. `rsis > 70`
+   * @param start the index of the first row simulated
+   * @param end the index after the last row simulated
+   * @returns `{ start, end, equities, drawdowns, trades, stats }`, with the equity and drawdown of each simulated row,
+   * the list of trades and the statistics (see `stats`)
+   */
+  run (ohlcSystem, entry, exit, { start = 0, end = ohlcSystem.length } = {}) {
+    const entries = new Rule(entry).evaluate(ohlcSystem)
+    const exits = new Rule(exit).evaluate(ohlcSystem)
+    const { timestamps, opens, closes } = ohlcSystem
+    const length = Math.max(0, end - start)
+    const equities = new Float64Array(length)
+    const drawdowns = new Float64Array(length)
+    const trades = []
+    let cash = this.capital
+    let units = 0.0
+    let trade = null
+    let fees = 0.0
+    let exposure = 0
+    let peak = this.capital
+
+    const buy = (i, price) => {
+      const cost = cash * this.size
+      const fee = cost * this.fee
+      units = (cost - fee) / price
+      cash -= cost
+      fees += fee
+      trade = { entryIndex: i, entryTimestamp: timestamps[i], entryPrice: price, units, cost }
+    }
+    const sell = (i, price) => {
+      const value = units * price
+      const fee = value * this.fee
+      cash += value - fee
+      fees += fee
+      trades.push(Object.assign(trade, {
+        exitIndex: i,
+        exitTimestamp: timestamps[i],
+        exitPrice: price,
+        pnl: value - fee - trade.cost,
+        return: (value - fee) / trade.cost - 1,
+        bars: i - trade.entryIndex
+      }))
+      units = 0.0
+      trade = null
+    }
+
+    for (let i = start; i < end; ++i) {
+      if (i > start && opens[i] > 0) { // act at the open on the rules of the row before
+        if (trade && exits[i - 1]) {
+          sell(i, opens[i] * (1 - this.slippage))
+        } else if (!trade && entries[i - 1]) {
+          buy(i, opens[i] * (1 + this.slippage))
+        }
+      }
+      if (trade) {
+        ++exposure
+        if (i === end - 1) {
+          sell(i, closes[i] * (1 - this.slippage))
+        }
+      }
+      const equity = cash + units * closes[i]
+      peak = Math.max(peak, equity)
+      equities[i - start] = equity
+      drawdowns[i - start] = 1 - equity / peak
+    }
+
+    return {
+      start,
+      end,
+      equities,
+      drawdowns,
+      trades,
+      stats: this.stats(equities, drawdowns, trades, {
+        interval: ValidationUtils.mostCommonInterval(timestamps.subarray(start, end)),
+        exposure: length > 0 ? exposure / length : 0,
+        fees
+      })
+    }
+  }
+
+  /**
+   * @param interval the milliseconds between rows, annualizing the Sharpe ratio
+   * @returns `{ initialCapital, finalEquity, totalReturn, maxDrawdown, sharpe, trades, winRate, exposure, fees }`, where
+   * `sharpe` is the annualized mean over the standard deviation of the returns of each row (with no risk-free rate), `winRate`
+   * is the fraction of trades with a profit and `exposure` is the fraction of rows with an open position
+   */
+  stats (equities, drawdowns, trades, { interval, exposure, fees }) {
+    const length = equities.length
+    let mean = 0.0
+    let meanSq = 0.0
+    let count = 0
+    for (let i = 1; i < length; ++i) { // Welford's Online Algorithm over the returns
+      const value = equities[i] / equities[i - 1] - 1
+      const delta = value - mean
+      mean += delta / ++count
+      meanSq += delta * (value - mean)
+    }
+    const stdev = count <= 1 ? 0.0 : Math.sqrt(meanSq / (count - 1))
+    const finalEquity = length > 0 ? equities[length - 1] : this.capital
+    return {
+      initialCapital: this.capital,
+      finalEquity,
+      totalReturn: finalEquity / this.capital - 1,
+      maxDrawdown: drawdowns.reduce((max, drawdown) => Math.max(max, drawdown), 0),
+      sharpe: stdev > 0 && interval ? mean / stdev * Math.sqrt(MILLIS_PER_YEAR / interval) : NaN,
+      trades: trades.length,
+      winRate: trades.length > 0 ? trades.filter(trade => trade.pnl > 0).length / trades.length : NaN,
+      exposure,
+      fees
+    }
+  }
+}
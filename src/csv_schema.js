@@ -0,0 +1,159 @@
+const UNIT_MILLIS = { s: 1e3, ms: 1, us: 1e-3 }
+// the 'auto' unit of a Unix timestamp is inferred from its magnitude: seconds before 1e11 (the year 5138),
+// milliseconds before 1e14, and microseconds after
+function autoUnitMillis (value) {
+  const magnitude = Math.abs(value)
+  return magnitude < 1e11 ? UNIT_MILLIS.s : magnitude < 1e14 ? UNIT_MILLIS.ms : UNIT_MILLIS.us
+}
+
+const PRESETS = {
+  // https://www.cryptodatadownload.com/data/gemini/
+  // Unix Timestamp,Date,Symbol,Open,High,Low,Close,Volume (after a title line)
+  // the Unix Timestamp is in seconds for older rows and in milliseconds for newer rows
+  gemini: {
+    columns: { timestamp: 0, open: 3, high: 4, low: 5, close: 6, volume: 7 },
+    columnCount: 8,
+    fromLine: 3,
+    timestampFormat: 'unix',
+    timestampUnit: 'auto',
+    order: 'newest-first'
+  },
+  // https://data.binance.vision/ klines (no header):
+  // open time,open,high,low,close,volume,close time,quote volume,trades,taker buy base volume,taker buy quote volume,ignore
+  binance: {
+    columns: { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 },
+    columnCount: 12,
+    fromLine: 1,
+    timestampFormat: 'unix',
+    timestampUnit: 'ms',
+    order: 'oldest-first'
+  },
+  // https://docs.cdp.coinbase.com/exchange/reference/exchangerestapi_getproductcandles candles with a header:
+  // time,low,high,open,close,volume
+  coinbase: {
+    columns: { timestamp: 0, low: 1, high: 2, open: 3, close: 4, volume: 5 },
+    columnCount: 6,
+    fromLine: 2,
+    timestampFormat: 'unix',
+    timestampUnit: 's',
+    order: 'newest-first'
+  },
+  // https://support.kraken.com/hc/en-us/articles/360047124832 OHLCVT files (no header):
+  // timestamp,open,high,low,close,volume,trades
+  kraken: {
+    columns: { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 },
+    columnCount: 7,
+    fromLine: 1,
+    timestampFormat: 'unix',
+    timestampUnit: 's',
+    order: 'oldest-first'
+  },
+  // timestamp,open,high,low,close,volume with a header
+  generic: {
+    columns: { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 },
+    columnCount: 6,
+    fromLine: 2,
+    timestampFormat: 'unix',
+    timestampUnit: 'ms',
+    order: 'oldest-first'
+  }
+}
+
+/**
+ * Layout of the OHLCV columns of a CSV export, used by both the custom and library parsers in `OhlcUtils`.
+ * - `columns` - the zero-based index of each of `timestamp`, `open`, `high`, `low`, `close` and `volume`
+ * - `columnCount` - the number of columns in each row
+ * - `delimiter` - the single-character column delimiter
+ * - `fromLine` - the one-based line of the first row, skipping the header lines before it
+ * - `timestampFormat` - 'datetime' for text such as `2021-03-20 00:00:00` (or ISO 8601; UTC unless a zone is given),
+ *   or 'unix' for a numeric timestamp since the Unix epoch in `timestampUnit` ('s', 'ms', 'us', or 'auto' to infer from each value)
+ * - `order` - 'newest-first' or 'oldest-first'; rows are always returned oldest-first
+ */
+module.exports = class CsvSchema {
+  constructor ({
+    columns, columnCount, delimiter = ',', fromLine = 1, timestampFormat = 'datetime', timestampUnit = 'ms', order = 'oldest-first'
+  }) {
+    for (const field of CsvSchema.FIELDS) {
+      if (!Number.isInteger(columns[field]) || columns[field] < 0 || columns[field] >= columnCount) {
+        throw new Error(`CSV schema is invalid: column ${field}=${columns[field]} for columnCount=${columnCount}`)
+      }
+    }
+    if (delimiter.length !== 1) {
+      throw new Error(`CSV schema is invalid: delimiter must be a single character: ${delimiter}`)
+    }
+    if (timestampFormat !== 'datetime' && timestampFormat !== 'unix') {
+      throw new Error(`CSV schema is invalid: unknown timestampFormat: ${timestampFormat}`)
+    }
+    if (!(timestampUnit in UNIT_MILLIS) && timestampUnit !== 'auto') {
+      throw new Error(`CSV schema is invalid: unknown timestampUnit: ${timestampUnit}`)
+    }
+    if (order !== 'newest-first' && order !== 'oldest-first') {
+      throw new Error(`CSV schema is invalid: unknown order: ${order}`)
+    }
+    this.columns = columns
+    this.columnCount = columnCount
+    this.delimiter = delimiter
+    this.fromLine = fromLine
+    this.timestampFormat = timestampFormat
+    this.timestampUnit = timestampUnit
+    this.order = order
+
+    // the field of each column index, or null for ignored columns
+    this.fields = new Array(columnCount).fill(null)
+    CsvSchema.FIELDS.forEach(field => { this.fields[columns[field]] = field })
+  }
+
+  static get FIELDS () {
+    return ['timestamp', 'open', 'high', 'low', 'close', 'volume']
+  }
+
+  /**
+   * @param text the text of the timestamp column
+   * @returns the timestamp in epoch milliseconds (date-times without a time zone are UTC)
+   */
+  parseTimestamp (text) {
+    if (this.timestampFormat === 'unix') {
+      const value = parseFloat(text)
+      return value * (this.timestampUnit === 'auto' ? autoUnitMillis(value) : UNIT_MILLIS[this.timestampUnit])
+    }
+    const iso = text.replace(' ', 'T')
+    return Date.parse(!iso.includes('T') || /(Z|[+-]\d\d:?\d\d)$/i.test(iso) ? iso : `${iso}Z`)
+  }
+
+  get newestFirst () {
+    return this.order === 'newest-first'
+  }
+
+  /**
+   * @param name the name of a preset in `CsvSchema.PRESETS`
+   * @param overrides options replacing those of the preset
+   * @returns the schema of the preset
+   */
+  static preset (name, overrides = {}) {
+    if (!(name in PRESETS)) {
+      throw new Error(`unknown CSV schema: ${name} (presets: ${Object.keys(PRESETS).join(', ')})`)
+    }
+    return new CsvSchema(Object.assign({}, PRESETS[name], overrides))
+  }
+
+  /**
+   * The schema configured by `CSV_SCHEMA`: a preset name, or a JSON object of options with an optional `preset` to extend.
+   * Defaults to the 'gemini' preset, whose `fromLine` is overridden by `CSV_FROM_LINE` when set.
+   * @returns the configured schema
+   */
+  static fromEnv () {
+    const config = process.env.CSV_SCHEMA
+    if (!config) {
+      return CsvSchema.preset('gemini', process.env.CSV_FROM_LINE ? { fromLine: +process.env.CSV_FROM_LINE } : {})
+    }
+    if (config.trim().startsWith('{')) {
+      const { preset, ...options } = JSON.parse(config)
+      return preset ? CsvSchema.preset(preset, options) : new CsvSchema(options)
+    }
+    return CsvSchema.preset(config.trim())
+  }
+
+  static get PRESETS () {
+    return PRESETS
+  }
+}
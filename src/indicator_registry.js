@@ -0,0 +1,191 @@
+/**
+ * Registry of the indicators calculated by `Ohlc` and `OhlcSystem`.
+ * Each indicator is an object declaring:
+ * - `name` - unique name of the indicator
+ * - `inputs` - the columns the indicator reads, as `Ohlc` field names (e.g. 'close' or 'hlc3')
+ * - `outputs` - the columns the indicator writes, as `Ohlc` field names (`OhlcSystem` components are suffixed with 's', e.g. 'hlc3s')
+ * - `params` - optional default parameters; `window` and `kernel` are passed to every indicator from `calculateAll`
+ * - `lookback (params)` - optional number of preceding rows needed to calculate a row exactly (omitted for recursive indicators such as EMAs)
+ * - `chart` - optional chart `{ id, title, overlay }` in which the outputs are plotted (`overlay` plots them over the close price)
+ * - `aos (ohlcs, params)` - the Array-of-Structs kernel, calculating the outputs for each Ohlc in an array
+ * - `soa (ohlcSystem, params)` - the Struct-of-Arrays kernel, calculating the output components of an OhlcSystem
+ * - `simd (ohlcSystem, params)` - optional WebAssembly SIMD kernel, calculating the output components of an OhlcSystem in WebAssembly memory
+ * - `stream (params)` - optional kernel for recursive indicators, returning the state of the indicator (or null if it has none for
+ *   the params) with `aos (ohlcs, i)` and `soa (ohlcSystem, i)` methods calculating one row at a time (see `IndicatorStream`);
+ *   the state is held in its own properties, so it can be copied
+ * Indicators are calculated in dependency order, so the outputs of one indicator can be the inputs of another.
+ */
+module.exports = class IndicatorRegistry {
+  constructor () {
+    this.indicators = new Map()
+    this.sorted = null
+    this.sortedLevels = null
+    this.sortedOutputs = null
+  }
+
+  /**
+   * The columns parsed from the input data, available as inputs to every indicator.
+   * The `timestamp` of each row is in epoch milliseconds (exact in a float64 until the year 287396).
+   */
+  static get BASE_COLUMNS () {
+    return ['timestamp', 'open', 'high', 'low', 'close', 'volume']
+  }
+
+  /**
+   * @param field the `Ohlc` field name of a column
+   * @returns the `OhlcSystem` component name of the column
+   */
+  static componentName (field) {
+    return `${field}s`
+  }
+
+  register (indicator) {
+    const { name, inputs, outputs, aos, soa } = indicator
+    if (typeof name !== 'string' || !Array.isArray(inputs) || !Array.isArray(outputs) ||
+        typeof aos !== 'function' || typeof soa !== 'function') {
+      throw new Error(`indicator is invalid: ${name}`)
+    }
+    if (this.indicators.has(name)) {
+      throw new Error(`indicator is already registered: ${name}`)
+    }
+    // indicators may be registered before their dependencies, so the registry is not sorted until it is used
+    const columns = new Set(IndicatorRegistry.BASE_COLUMNS)
+    for (const registered of this.indicators.values()) {
+      registered.outputs.forEach(output => columns.add(output))
+    }
+    for (const output of outputs) {
+      if (columns.has(output)) {
+        throw new Error(`indicator ${name} output is already registered: ${output}`)
+      }
+    }
+    this.indicators.set(name, indicator)
+    this.sorted = null
+    this.sortedLevels = null
+    this.sortedOutputs = null
+    return this
+  }
+
+  unregister (name) {
+    this.sorted = null
+    this.sortedLevels = null
+    this.sortedOutputs = null
+    return this.indicators.delete(name)
+  }
+
+  get (name) {
+    return this.indicators.get(name)
+  }
+
+  /**
+   * @returns array of the registered indicators, in dependency order
+   */
+  sort () {
+    if (this.sorted) {
+      return this.sorted
+    }
+    const available = new Set(IndicatorRegistry.BASE_COLUMNS)
+    const producers = new Map()
+    for (const indicator of this.indicators.values()) {
+      for (const output of indicator.outputs) {
+        producers.set(output, indicator)
+      }
+    }
+    for (const indicator of this.indicators.values()) {
+      for (const input of indicator.inputs) {
+        if (!available.has(input) && !producers.has(input)) {
+          throw new Error(`indicator ${indicator.name} input is not available: ${input}`)
+        }
+      }
+    }
+
+    // Kahn's Algorithm (https://en.wikipedia.org/wiki/Topological_sorting#Kahn's_algorithm), keeping registration order for ties
+    const sorted = []
+    const levels = []
+    let pending = Array.from(this.indicators.values())
+    while (pending.length > 0) {
+      const ready = pending.filter(indicator => indicator.inputs.every(input => available.has(input)))
+      if (ready.length === 0) {
+        throw new Error(`indicators have a cyclic dependency: ${pending.map(indicator => indicator.name).join(', ')}`)
+      }
+      for (const indicator of ready) {
+        sorted.push(indicator)
+        indicator.outputs.forEach(output => available.add(output))
+      }
+      levels.push(ready)
+      pending = pending.filter(indicator => !ready.includes(indicator))
+    }
+    this.sorted = sorted
+    this.sortedLevels = levels
+    return sorted
+  }
+
+  /**
+   * @returns array of dependency levels, each an array of indicators depending only on the outputs of earlier levels,
+   * so the indicators within a level can be calculated concurrently
+   */
+  levels () {
+    if (!this.sortedLevels) {
+      this.sort()
+    }
+    return this.sortedLevels
+  }
+
+  /**
+   * @returns array of the output columns of the registered indicators, in dependency order
+   */
+  outputs () {
+    if (!this.sortedOutputs) {
+      this.sortedOutputs = [].concat(...this.sort().map(indicator => indicator.outputs))
+    }
+    return this.sortedOutputs
+  }
+
+  /**
+   * @returns array of `{ id, title, overlay, fields }` for each chart declared by the registered indicators
+   */
+  charts () {
+    const charts = new Map()
+    for (const indicator of this.sort()) {
+      if (indicator.chart) {
+        const { id, title } = indicator.chart
+        if (!charts.has(id)) {
+          charts.set(id, { id, title, overlay: !!indicator.chart.overlay, fields: [] })
+        }
+        charts.get(id).fields.push(...indicator.outputs)
+      }
+    }
+    return Array.from(charts.values())
+  }
+
+  /**
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, or 'naive' to re-scan each window
+   * @param params object of parameter overrides keyed by indicator name
+   * @returns the number of preceding rows needed to calculate a row exactly, through the dependencies of each indicator
+   */
+  lookback (window, kernel, params = {}) {
+    const lookbacks = new Map(IndicatorRegistry.BASE_COLUMNS.map(column => [column, 0]))
+    let maxLookback = 0
+    for (const indicator of this.sort()) {
+      const own = indicator.lookback ? indicator.lookback(IndicatorRegistry.params(indicator, window, kernel, params)) : 0
+      const lookback = own + Math.max(0, ...indicator.inputs.map(input => lookbacks.get(input) || 0))
+      indicator.outputs.forEach(output => lookbacks.set(output, lookback))
+      maxLookback = Math.max(maxLookback, lookback)
+    }
+    return maxLookback
+  }
+
+  /**
+   * @param indicator the indicator to resolve parameters for
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, 'naive' to re-scan each window, or 'simd' (see `OhlcSystem.calculate`)
+   * @param params object of parameter overrides keyed by indicator name
+   * @returns the parameters passed to the indicator kernels
+   */
+  static params (indicator, window, kernel, params = {}) {
+    if (kernel !== 'naive' && kernel !== 'incremental' && kernel !== 'simd') {
+      throw new Error(`unknown kernel: ${kernel}`)
+    }
+    return Object.assign({}, indicator.params, { window, kernel }, params[indicator.name])
+  }
+}
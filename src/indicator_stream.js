@@ -0,0 +1,158 @@
+const IndicatorRegistry = require('./indicator_registry.js')
+const indicators = require('./indicators/index.js')
+
+/**
+ * @returns a deep copy of the state of a stream kernel: its own properties, with arrays and typed arrays copied,
+ * and objects (e.g. the averages of `averages.js`) copied with their prototype
+ */
+function copyState (value) {
+  if (ArrayBuffer.isView(value) || Array.isArray(value)) {
+    return value.map(copyState)
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  const copy = Object.create(Object.getPrototypeOf(value))
+  for (const key of Object.keys(value)) {
+    copy[key] = copyState(value[key])
+  }
+  return copy
+}
+
+/**
+ * Incremental calculation of the indicators of the last row of an `OhlcSystem` or an array of `Ohlc` values,
+ * for rows appended one at a time (see `OhlcSystem.append` and `Ohlc.append`), e.g. from a live feed.
+ * Each indicator is calculated for only the last row:
+ * - with its `stream` kernel in O(1), carrying the state of a recursive indicator (e.g. an EMA) from row to row
+ * - with its `soa`/`aos` kernel over the `lookback` rows before it in O(window), writing to scratch rows and keeping the last
+ * - with its `soa`/`aos` kernel over every row, for indicators declaring neither
+ * The last row may be recalculated, as the still-forming candle is updated, restoring the state of each stream kernel from
+ * before the row. The first row calculated catches up on the rows before it, so a stream can be created for a system
+ * which already has rows. Values calculated over the lookback match a full calculation up to the rounding of the sliding sums.
+ */
+module.exports = class IndicatorStream {
+  /**
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, or 'naive' to re-scan each window ('simd' is calculated as 'incremental')
+   * @param params object of indicator parameter overrides keyed by indicator name
+   * @param registry the indicators to calculate
+   */
+  constructor (window, kernel = 'incremental', params = {}, registry = indicators) {
+    this.registry = registry
+    this.length = 0 // the number of rows calculated
+    this.calculators = registry.sort().map(indicator => {
+      const indicatorParams = IndicatorRegistry.params(indicator, window, kernel === 'simd' ? 'incremental' : kernel, params)
+      return {
+        indicator,
+        params: indicatorParams,
+        state: indicator.stream ? indicator.stream(indicatorParams) : null,
+        previousState: null, // the state before the last row
+        lookback: indicator.lookback ? indicator.lookback(indicatorParams) : null
+      }
+    })
+  }
+
+  /**
+   * Calculate the indicator components of the last row of an OhlcSystem.
+   * @param ohlcSystem the OhlcSystem, whose previous rows were calculated by this stream
+   * @param index the index of the row: the row after those calculated, or the last calculated row to recalculate
+   */
+  soa (ohlcSystem, index) {
+    this.calculate(index, {
+      catchUp: ({ indicator, params, state }, length) => {
+        if (state) {
+          for (let i = this.length; i < length; ++i) {
+            state.soa(ohlcSystem, i)
+          }
+        } else {
+          IndicatorStream.soaPrefix(ohlcSystem, indicator, params, length)
+        }
+      },
+      stream: state => state.soa(ohlcSystem, index),
+      tail: ({ indicator, params }, from) => {
+        const view = { length: index + 1 - from }
+        for (const input of indicator.inputs) {
+          const component = IndicatorRegistry.componentName(input)
+          view[component] = ohlcSystem[component].subarray(from, index + 1)
+        }
+        for (const output of indicator.outputs) {
+          view[IndicatorRegistry.componentName(output)] = new Float64Array(view.length)
+        }
+        indicator.soa(view, params)
+        for (const output of indicator.outputs) {
+          const component = IndicatorRegistry.componentName(output)
+          ohlcSystem[component][index] = view[component][view.length - 1]
+        }
+      },
+      full: ({ indicator, params }) => IndicatorStream.soaPrefix(ohlcSystem, indicator, params, index + 1)
+    })
+  }
+
+  /**
+   * Calculate the indicator fields of the last Ohlc of an array.
+   * @param ohlcs array of Ohlc values, whose previous values were calculated by this stream
+   * @param index the index of the Ohlc: the Ohlc after those calculated, or the last calculated Ohlc to recalculate
+   */
+  aos (ohlcs, index) {
+    this.calculate(index, {
+      catchUp: ({ indicator, params, state }, length) => {
+        if (state) {
+          for (let i = this.length; i < length; ++i) {
+            state.aos(ohlcs, i)
+          }
+        } else {
+          indicator.aos(ohlcs.slice(0, length), params)
+        }
+      },
+      stream: state => state.aos(ohlcs, index),
+      tail: ({ indicator, params }, from) => {
+        // copies of the input fields, so the kernel does not overwrite the values of the rows before the last
+        const rows = new Array(index + 1 - from)
+        for (let i = from; i <= index; ++i) {
+          const row = {}
+          indicator.inputs.forEach(input => { row[input] = ohlcs[i][input] })
+          rows[i - from] = row
+        }
+        indicator.aos(rows, params)
+        indicator.outputs.forEach(output => { ohlcs[index][output] = rows[rows.length - 1][output] })
+      },
+      full: ({ indicator, params }) => indicator.aos(ohlcs.slice(0, index + 1), params)
+    })
+  }
+
+  calculate (index, { catchUp, stream, tail, full }) {
+    if (index < this.length - 1) {
+      throw new Error(`only the last row can be recalculated: index=${index}, length=${this.length}`)
+    }
+    const recalculate = index === this.length - 1
+    for (const calculator of this.calculators) {
+      if (index > this.length) {
+        catchUp(calculator, index)
+      }
+      const { state, lookback } = calculator
+      if (state) {
+        if (recalculate) {
+          calculator.state = copyState(calculator.previousState)
+        } else {
+          calculator.previousState = copyState(state)
+        }
+        stream(calculator.state)
+      } else if (lookback !== null) {
+        tail(calculator, Math.max(0, index - lookback))
+      } else {
+        full(calculator)
+      }
+    }
+    this.length = index + 1
+  }
+
+  static soaPrefix (ohlcSystem, indicator, params, length) {
+    const systemLength = ohlcSystem.length
+    ohlcSystem.length = length
+    try {
+      indicator.soa(ohlcSystem, params)
+    } finally {
+      ohlcSystem.length = systemLength
+    }
+  }
+}
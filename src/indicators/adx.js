@@ -0,0 +1,129 @@
+const { Rma } = require('./averages.js')
+
+/**
+ * Average Directional Index: https://en.wikipedia.org/wiki/Average_directional_movement_index
+ * The positive/negative Directional Indicators (+DI/-DI) are the Wilder-smoothed directional movements relative to the true range,
+ * and the ADX is the Wilder-smoothed Directional Index DX = 100 * |+DI - -DI| / (+DI + -DI).
+ */
+module.exports = {
+  name: 'adx',
+  inputs: ['high', 'low', 'close'],
+  outputs: ['plusDi', 'minusDi', 'adx'],
+  params: { period: 14 },
+  chart: { id: 'adx', title: 'ADX' },
+  aos (ohlcs, { period }) {
+    const trueRangeAverage = new Rma(period)
+    const plusDmAverage = new Rma(period)
+    const minusDmAverage = new Rma(period)
+    const dxAverage = new Rma(period)
+    for (let i = 0, length = ohlcs.length; i < length; ++i) {
+      const ohlc = ohlcs[i]
+      let trueRange = ohlc.high - ohlc.low
+      let plusDm = 0.0; let minusDm = 0.0
+      if (i >= 1) {
+        const prev = ohlcs[i - 1]
+        trueRange = Math.max(trueRange, Math.abs(ohlc.high - prev.close), Math.abs(ohlc.low - prev.close))
+        const upMove = ohlc.high - prev.high
+        const downMove = prev.low - ohlc.low
+        if (upMove > downMove && upMove > 0.0) {
+          plusDm = upMove
+        } else if (downMove > upMove && downMove > 0.0) {
+          minusDm = downMove
+        }
+      }
+      const atr = trueRangeAverage.push(trueRange)
+      const plusDmSmoothed = plusDmAverage.push(plusDm)
+      const minusDmSmoothed = minusDmAverage.push(minusDm)
+      ohlc.plusDi = atr === 0.0 ? 0.0 : (100.0 * plusDmSmoothed / atr)
+      ohlc.minusDi = atr === 0.0 ? 0.0 : (100.0 * minusDmSmoothed / atr)
+      const diSum = ohlc.plusDi + ohlc.minusDi
+      ohlc.adx = dxAverage.push(diSum === 0.0 ? 0.0 : (100.0 * Math.abs(ohlc.plusDi - ohlc.minusDi) / diSum))
+    }
+  },
+  soa (ohlcSystem, { period }) {
+    const highs = ohlcSystem.highs
+    const lows = ohlcSystem.lows
+    const closes = ohlcSystem.closes
+    const plusDis = ohlcSystem.plusDis
+    const minusDis = ohlcSystem.minusDis
+    const adxs = ohlcSystem.adxs
+    const trueRangeAverage = new Rma(period)
+    const plusDmAverage = new Rma(period)
+    const minusDmAverage = new Rma(period)
+    const dxAverage = new Rma(period)
+    for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+      let trueRange = highs[i] - lows[i]
+      let plusDm = 0.0; let minusDm = 0.0
+      if (i >= 1) {
+        trueRange = Math.max(trueRange, Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]))
+        const upMove = highs[i] - highs[i - 1]
+        const downMove = lows[i - 1] - lows[i]
+        if (upMove > downMove && upMove > 0.0) {
+          plusDm = upMove
+        } else if (downMove > upMove && downMove > 0.0) {
+          minusDm = downMove
+        }
+      }
+      const atr = trueRangeAverage.push(trueRange)
+      const plusDmSmoothed = plusDmAverage.push(plusDm)
+      const minusDmSmoothed = minusDmAverage.push(minusDm)
+      plusDis[i] = atr === 0.0 ? 0.0 : (100.0 * plusDmSmoothed / atr)
+      minusDis[i] = atr === 0.0 ? 0.0 : (100.0 * minusDmSmoothed / atr)
+      const diSum = plusDis[i] + minusDis[i]
+      adxs[i] = dxAverage.push(diSum === 0.0 ? 0.0 : (100.0 * Math.abs(plusDis[i] - minusDis[i]) / diSum))
+    }
+  },
+  stream ({ period }) {
+    return {
+      trueRangeAverage: new Rma(period),
+      plusDmAverage: new Rma(period),
+      minusDmAverage: new Rma(period),
+      dxAverage: new Rma(period),
+      aos (ohlcs, i) {
+        const ohlc = ohlcs[i]
+        let trueRange = ohlc.high - ohlc.low
+        let plusDm = 0.0; let minusDm = 0.0
+        if (i >= 1) {
+          const prev = ohlcs[i - 1]
+          trueRange = Math.max(trueRange, Math.abs(ohlc.high - prev.close), Math.abs(ohlc.low - prev.close))
+          const upMove = ohlc.high - prev.high
+          const downMove = prev.low - ohlc.low
+          if (upMove > downMove && upMove > 0.0) {
+            plusDm = upMove
+          } else if (downMove > upMove && downMove > 0.0) {
+            minusDm = downMove
+          }
+        }
+        const atr = this.trueRangeAverage.push(trueRange)
+        const plusDmSmoothed = this.plusDmAverage.push(plusDm)
+        const minusDmSmoothed = this.minusDmAverage.push(minusDm)
+        ohlc.plusDi = atr === 0.0 ? 0.0 : (100.0 * plusDmSmoothed / atr)
+        ohlc.minusDi = atr === 0.0 ? 0.0 : (100.0 * minusDmSmoothed / atr)
+        const diSum = ohlc.plusDi + ohlc.minusDi
+        ohlc.adx = this.dxAverage.push(diSum === 0.0 ? 0.0 : (100.0 * Math.abs(ohlc.plusDi - ohlc.minusDi) / diSum))
+      },
+      soa (ohlcSystem, i) {
+        const { highs, lows, closes, plusDis, minusDis, adxs } = ohlcSystem
+        let trueRange = highs[i] - lows[i]
+        let plusDm = 0.0; let minusDm = 0.0
+        if (i >= 1) {
+          trueRange = Math.max(trueRange, Math.abs(highs[i] - closes[i - 1]), Math.abs(lows[i] - closes[i - 1]))
+          const upMove = highs[i] - highs[i - 1]
+          const downMove = lows[i - 1] - lows[i]
+          if (upMove > downMove && upMove > 0.0) {
+            plusDm = upMove
+          } else if (downMove > upMove && downMove > 0.0) {
+            minusDm = downMove
+          }
+        }
+        const atr = this.trueRangeAverage.push(trueRange)
+        const plusDmSmoothed = this.plusDmAverage.push(plusDm)
+        const minusDmSmoothed = this.minusDmAverage.push(minusDm)
+        plusDis[i] = atr === 0.0 ? 0.0 : (100.0 * plusDmSmoothed / atr)
+        minusDis[i] = atr === 0.0 ? 0.0 : (100.0 * minusDmSmoothed / atr)
+        const diSum = plusDis[i] + minusDis[i]
+        adxs[i] = this.dxAverage.push(diSum === 0.0 ? 0.0 : (100.0 * Math.abs(plusDis[i] - minusDis[i]) / diSum))
+      }
+    }
+  }
+}
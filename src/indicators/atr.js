@@ -0,0 +1,63 @@
+const { Rma } = require('./averages.js')
+
+/**
+ * Average True Range: https://en.wikipedia.org/wiki/Average_true_range
+ * Wilder's moving average of the true range, the greatest of the high-low range and the gaps from the previous close.
+ */
+module.exports = {
+  name: 'atr',
+  inputs: ['high', 'low', 'close'],
+  outputs: ['atr'],
+  params: { period: 14 },
+  chart: { id: 'atr', title: 'Average True Range' },
+  aos (ohlcs, { period }) {
+    const average = new Rma(period)
+    for (let i = 0, length = ohlcs.length; i < length; ++i) {
+      const ohlc = ohlcs[i]
+      let trueRange = ohlc.high - ohlc.low
+      if (i >= 1) {
+        const prevClose = ohlcs[i - 1].close
+        trueRange = Math.max(trueRange, Math.abs(ohlc.high - prevClose), Math.abs(ohlc.low - prevClose))
+      }
+      ohlc.atr = average.push(trueRange)
+    }
+  },
+  soa (ohlcSystem, { period }) {
+    const highs = ohlcSystem.highs
+    const lows = ohlcSystem.lows
+    const closes = ohlcSystem.closes
+    const atrs = ohlcSystem.atrs
+    const average = new Rma(period)
+    for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+      let trueRange = highs[i] - lows[i]
+      if (i >= 1) {
+        const prevClose = closes[i - 1]
+        trueRange = Math.max(trueRange, Math.abs(highs[i] - prevClose), Math.abs(lows[i] - prevClose))
+      }
+      atrs[i] = average.push(trueRange)
+    }
+  },
+  stream ({ period }) {
+    return {
+      average: new Rma(period),
+      aos (ohlcs, i) {
+        const ohlc = ohlcs[i]
+        let trueRange = ohlc.high - ohlc.low
+        if (i >= 1) {
+          const prevClose = ohlcs[i - 1].close
+          trueRange = Math.max(trueRange, Math.abs(ohlc.high - prevClose), Math.abs(ohlc.low - prevClose))
+        }
+        ohlc.atr = this.average.push(trueRange)
+      },
+      soa (ohlcSystem, i) {
+        const { highs, lows, closes } = ohlcSystem
+        let trueRange = highs[i] - lows[i]
+        if (i >= 1) {
+          const prevClose = closes[i - 1]
+          trueRange = Math.max(trueRange, Math.abs(highs[i] - prevClose), Math.abs(lows[i] - prevClose))
+        }
+        ohlcSystem.atrs[i] = this.average.push(trueRange)
+      }
+    }
+  }
+}
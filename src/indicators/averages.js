@@ -0,0 +1,144 @@
+/**
+ * Moving averages calculated one period at a time with O(1) updates, shared by the indicator kernels.
+ * Exponential averages are seeded by the simple average of the first window, using the average of the available periods until it is full.
+ */
+
+/**
+ * Simple Moving Average over a ring buffer of the window's values.
+ */
+class Sma {
+  constructor (period) {
+    this.values = new Float64Array(period)
+    this.head = 0
+    this.count = 0
+    this.sum = 0.0
+  }
+
+  push (value) {
+    const period = this.values.length
+    if (this.count < period) {
+      this.values[(this.head + this.count++) % period] = value
+      this.sum += value
+    } else {
+      this.sum += value - this.values[this.head]
+      this.values[this.head] = value
+      this.head = (this.head + 1) % period
+    }
+    return this.sum / this.count
+  }
+}
+
+/**
+ * Weighted Moving Average (weights 1..n, newest value weighted highest) over a ring buffer of the window's values.
+ */
+class Wma {
+  constructor (period) {
+    this.values = new Float64Array(period)
+    this.head = 0
+    this.count = 0
+    this.sum = 0.0
+    this.weightedSum = 0.0
+  }
+
+  push (value) {
+    const period = this.values.length
+    if (this.count < period) {
+      this.values[(this.head + this.count++) % period] = value
+      this.weightedSum += this.count * value
+      this.sum += value
+    } else {
+      // every weight decreases by one, dropping the oldest value (weight 1) and adding the newest with weight n
+      this.weightedSum += period * value - this.sum
+      this.sum += value - this.values[this.head]
+      this.values[this.head] = value
+      this.head = (this.head + 1) % period
+    }
+    return this.weightedSum / (this.count * (this.count + 1) / 2.0)
+  }
+}
+
+/**
+ * Exponential Moving Average with smoothing factor 2 / (n + 1).
+ */
+class Ema {
+  constructor (period) {
+    this.period = period
+    this.alpha = 2.0 / (period + 1.0)
+    this.count = 0
+    this.average = 0.0
+  }
+
+  push (value) {
+    if (this.count < this.period) {
+      this.average += (value - this.average) / ++this.count
+    } else {
+      this.average += this.alpha * (value - this.average)
+    }
+    return this.average
+  }
+}
+
+/**
+ * Wilder's Moving Average (smoothing factor 1 / n), as used by the Relative Strength Index, Average True Range and ADX.
+ */
+class Rma {
+  constructor (period) {
+    this.period = period
+    this.count = 0
+    this.average = 0.0
+  }
+
+  push (value) {
+    this.average += (value - this.average) / (this.count < this.period ? ++this.count : this.period)
+    return this.average
+  }
+}
+
+/**
+ * Double Exponential Moving Average: https://en.wikipedia.org/wiki/Double_exponential_moving_average
+ */
+class Dema {
+  constructor (period) {
+    this.ema = new Ema(period)
+    this.emaEma = new Ema(period)
+  }
+
+  push (value) {
+    const ema = this.ema.push(value)
+    return 2.0 * ema - this.emaEma.push(ema)
+  }
+}
+
+/**
+ * Triple Exponential Moving Average: https://en.wikipedia.org/wiki/Triple_exponential_moving_average
+ */
+class Tema {
+  constructor (period) {
+    this.ema = new Ema(period)
+    this.emaEma = new Ema(period)
+    this.emaEmaEma = new Ema(period)
+  }
+
+  push (value) {
+    const ema = this.ema.push(value)
+    const emaEma = this.emaEma.push(ema)
+    return 3.0 * ema - 3.0 * emaEma + this.emaEmaEma.push(emaEma)
+  }
+}
+
+/**
+ * Hull Moving Average: WMA(2 * WMA(n / 2) - WMA(n), sqrt(n))
+ */
+class Hma {
+  constructor (period) {
+    this.halfWma = new Wma(Math.max(1, Math.trunc(period / 2)))
+    this.wma = new Wma(period)
+    this.hullWma = new Wma(Math.max(1, Math.round(Math.sqrt(period))))
+  }
+
+  push (value) {
+    return this.hullWma.push(2.0 * this.halfWma.push(value) - this.wma.push(value))
+  }
+}
+
+module.exports = { Sma, Wma, Ema, Rma, Dema, Tema, Hma }
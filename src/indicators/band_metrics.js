@@ -0,0 +1,43 @@
+/**
+ * %B and Bandwidth: https://en.wikipedia.org/wiki/Bollinger_Bands#Indicators_derived_from_Bollinger_Bands
+ * Derived from any band indicator with `[middle, upper, lower]` outputs (Bollinger Bands, Donchian Channels or envelopes):
+ * - %B - where the source lies within the bands, 0 at the lower band and 1 at the upper band (NaN while the bands have no width)
+ * - Bandwidth - the width of the bands relative to the middle
+ * @param band the band indicator
+ * @param prefix the prefix of the output names (e.g. 'hlc3')
+ * @param source the `Ohlc` field name of the column located within the bands (e.g. 'hlc3' or 'close')
+ * @returns the indicator calculating `<prefix>PercentB` and `<prefix>Bandwidth`, plotted in its own chart beside the bands
+ */
+module.exports = function bandMetrics (band, prefix, source) {
+  const [middle, upper, lower] = band.outputs
+  const percentB = `${prefix}PercentB`
+  const bandwidth = `${prefix}Bandwidth`
+  return {
+    name: `${prefix}BandMetrics`,
+    inputs: [source, middle, upper, lower],
+    outputs: [percentB, bandwidth],
+    lookback: () => 0,
+    chart: band.chart && { id: `${band.chart.id}-metrics`, title: `${band.chart.title} %B and Bandwidth` },
+    aos (ohlcs) {
+      for (let i = 0, length = ohlcs.length; i < length; ++i) {
+        const ohlc = ohlcs[i]
+        const width = ohlc[upper] - ohlc[lower]
+        ohlc[percentB] = width === 0 ? NaN : (ohlc[source] - ohlc[lower]) / width
+        ohlc[bandwidth] = width / ohlc[middle]
+      }
+    },
+    soa (ohlcSystem) {
+      const values = ohlcSystem[`${source}s`]
+      const middles = ohlcSystem[`${middle}s`]
+      const uppers = ohlcSystem[`${upper}s`]
+      const lowers = ohlcSystem[`${lower}s`]
+      const percentBs = ohlcSystem[`${percentB}s`]
+      const bandwidths = ohlcSystem[`${bandwidth}s`]
+      for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+        const width = uppers[i] - lowers[i]
+        percentBs[i] = width === 0 ? NaN : (values[i] - lowers[i]) / width
+        bandwidths[i] = width / middles[i]
+      }
+    }
+  }
+}
@@ -0,0 +1,136 @@
+const SimdUtils = require('../util/simd_utils.js')
+
+// the delta degrees of freedom of the variance: its divisor is `count - ddof`
+function degreesOfFreedom (variance) {
+  switch (variance) {
+    case 'sample': return 1
+    case 'population': return 0
+    default: throw new Error(`unknown bands variance: ${variance}`)
+  }
+}
+
+/**
+ * Bollinger Bands: https://en.wikipedia.org/wiki/Bollinger_Bands
+ * The average of a source column across the window, with upper and lower bands `multiplier` standard deviations away.
+ * The standard deviation is of the `sample` variance (dividing by `count - 1`) or of the `population` variance (dividing by `count`).
+ * @param source the `Ohlc` field name of the source column (e.g. 'hlc3')
+ * @param chart the chart in which the bands are plotted
+ * @param params the default parameters of the source, e.g. `{ multiplier: 2.5 }`
+ * @returns the indicator calculating `<source>Average`, `<source>StdevUpper` and `<source>StdevLower`
+ */
+module.exports = function bands (source, chart, params = {}) {
+  const average = `${source}Average`
+  const stdevUpper = `${source}StdevUpper`
+  const stdevLower = `${source}StdevLower`
+  return {
+    name: `${source}Bands`,
+    inputs: [source],
+    outputs: [average, stdevUpper, stdevLower],
+    params: { multiplier: 2.0, variance: 'sample', ...params },
+    lookback: ({ window }) => window - 1,
+    chart,
+    aos (ohlcs, { window, kernel, multiplier, variance: type }) {
+      const ddof = degreesOfFreedom(type)
+      if (kernel === 'naive') {
+        for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+          // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
+          let mean = 0.0
+          let meanSq = 0.0
+          let count = 0
+          for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+            const value = ohlcs[i][source]
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          }
+          const variance = count <= 1 ? 0.0 : (meanSq / (count - ddof))
+          const stdev = Math.sqrt(variance)
+          const ohlc = ohlcs[targetIndex]
+          ohlc[average] = mean
+          ohlc[stdevUpper] = mean + multiplier * stdev
+          ohlc[stdevLower] = mean - multiplier * stdev
+        }
+      } else {
+        // Welford's Online Algorithm, removing the oldest value once the window is full
+        let mean = 0.0
+        let meanSq = 0.0
+        let count = 0
+        for (let targetIndex = 0, length = ohlcs.length; targetIndex < length; ++targetIndex) {
+          const ohlc = ohlcs[targetIndex]
+          const value = ohlc[source]
+          if (count < window) {
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          } else {
+            const oldValue = ohlcs[targetIndex - window][source]
+            const oldMean = mean
+            mean += (value - oldValue) / count
+            meanSq = Math.max(0.0, meanSq + (value - oldValue) * (value - mean + oldValue - oldMean))
+          }
+          const variance = count <= 1 ? 0.0 : (meanSq / (count - ddof))
+          const stdev = Math.sqrt(variance)
+          ohlc[average] = mean
+          ohlc[stdevUpper] = mean + multiplier * stdev
+          ohlc[stdevLower] = mean - multiplier * stdev
+        }
+      }
+    },
+    soa (ohlcSystem, { window, kernel, multiplier, variance: type }) {
+      const ddof = degreesOfFreedom(type)
+      const values = ohlcSystem[`${source}s`]
+      const averages = ohlcSystem[`${average}s`]
+      const stdevUppers = ohlcSystem[`${stdevUpper}s`]
+      const stdevLowers = ohlcSystem[`${stdevLower}s`]
+      if (kernel === 'naive') {
+        for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+          // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
+          let mean = 0.0
+          let meanSq = 0.0
+          let count = 0
+          for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+            const value = values[i]
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          }
+          const variance = count <= 1 ? 0.0 : (meanSq / (count - ddof))
+          const stdev = Math.sqrt(variance)
+          averages[targetIndex] = mean
+          stdevUppers[targetIndex] = mean + multiplier * stdev
+          stdevLowers[targetIndex] = mean - multiplier * stdev
+        }
+      } else {
+        // Welford's Online Algorithm, removing the oldest value once the window is full
+        let mean = 0.0
+        let meanSq = 0.0
+        let count = 0
+        for (let targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++targetIndex) {
+          const value = values[targetIndex]
+          if (count < window) {
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          } else {
+            const oldValue = values[targetIndex - window]
+            const oldMean = mean
+            mean += (value - oldValue) / count
+            meanSq = Math.max(0.0, meanSq + (value - oldValue) * (value - mean + oldValue - oldMean))
+          }
+          const variance = count <= 1 ? 0.0 : (meanSq / (count - ddof))
+          const stdev = Math.sqrt(variance)
+          averages[targetIndex] = mean
+          stdevUppers[targetIndex] = mean + multiplier * stdev
+          stdevLowers[targetIndex] = mean - multiplier * stdev
+        }
+      }
+    },
+    simd (ohlcSystem, { window, multiplier, variance: type }) {
+      // the incremental kernel, with the bands of each pair of rows vectorized
+      SimdUtils.kernels(ohlcSystem).bands(
+        ohlcSystem[`${source}s`].byteOffset, ohlcSystem[`${average}s`].byteOffset,
+        ohlcSystem[`${stdevUpper}s`].byteOffset, ohlcSystem[`${stdevLower}s`].byteOffset,
+        ohlcSystem.length, window, degreesOfFreedom(type), multiplier)
+    }
+  }
+}
@@ -0,0 +1,70 @@
+const { RollingMax, RollingMin } = require('./extrema.js')
+
+/**
+ * Donchian Channels: https://en.wikipedia.org/wiki/Donchian_channel
+ * The highest high and lowest low across the window, with the middle channel halfway between them.
+ */
+module.exports = {
+  name: 'donchian',
+  inputs: ['high', 'low'],
+  outputs: ['donchianMiddle', 'donchianUpper', 'donchianLower'],
+  lookback: ({ window }) => window - 1,
+  chart: { id: 'donchian', title: 'Donchian Channels', overlay: true },
+  aos (ohlcs, { window, kernel }) {
+    if (kernel === 'naive') {
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        let high = ohlcs[targetIndex].high
+        let low = ohlcs[targetIndex].low
+        for (let i = Math.max(0, startIndex); i < targetIndex; ++i) {
+          high = Math.max(high, ohlcs[i].high)
+          low = Math.min(low, ohlcs[i].low)
+        }
+        const ohlc = ohlcs[targetIndex]
+        ohlc.donchianMiddle = (high + low) / 2.0
+        ohlc.donchianUpper = high
+        ohlc.donchianLower = low
+      }
+    } else {
+      const highest = new RollingMax(window)
+      const lowest = new RollingMin(window)
+      for (let targetIndex = 0, length = ohlcs.length; targetIndex < length; ++targetIndex) {
+        const ohlc = ohlcs[targetIndex]
+        const high = highest.push(ohlc.high)
+        const low = lowest.push(ohlc.low)
+        ohlc.donchianMiddle = (high + low) / 2.0
+        ohlc.donchianUpper = high
+        ohlc.donchianLower = low
+      }
+    }
+  },
+  soa (ohlcSystem, { window, kernel }) {
+    const highs = ohlcSystem.highs
+    const lows = ohlcSystem.lows
+    const donchianMiddles = ohlcSystem.donchianMiddles
+    const donchianUppers = ohlcSystem.donchianUppers
+    const donchianLowers = ohlcSystem.donchianLowers
+    if (kernel === 'naive') {
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        let high = highs[targetIndex]
+        let low = lows[targetIndex]
+        for (let i = Math.max(0, startIndex); i < targetIndex; ++i) {
+          high = Math.max(high, highs[i])
+          low = Math.min(low, lows[i])
+        }
+        donchianMiddles[targetIndex] = (high + low) / 2.0
+        donchianUppers[targetIndex] = high
+        donchianLowers[targetIndex] = low
+      }
+    } else {
+      const highest = new RollingMax(window)
+      const lowest = new RollingMin(window)
+      for (let targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++targetIndex) {
+        const high = highest.push(highs[targetIndex])
+        const low = lowest.push(lows[targetIndex])
+        donchianMiddles[targetIndex] = (high + low) / 2.0
+        donchianUppers[targetIndex] = high
+        donchianLowers[targetIndex] = low
+      }
+    }
+  }
+}
@@ -0,0 +1,64 @@
+const { Sma } = require('./averages.js')
+
+/**
+ * Moving Average Envelope: https://www.investopedia.com/terms/e/envelope.asp
+ * The simple average of a source column across the window, with upper and lower envelopes `percent` percent away.
+ * @param source the `Ohlc` field name of the source column (e.g. 'close')
+ * @param chart the chart in which the envelope is plotted
+ * @param params the default parameters of the source, e.g. `{ percent: 5.0 }`
+ * @returns the indicator calculating `<source>EnvelopeMiddle`, `<source>EnvelopeUpper` and `<source>EnvelopeLower`
+ */
+module.exports = function envelope (source, chart, params = {}) {
+  const middle = `${source}EnvelopeMiddle`
+  const upper = `${source}EnvelopeUpper`
+  const lower = `${source}EnvelopeLower`
+  return {
+    name: `${source}Envelope`,
+    inputs: [source],
+    outputs: [middle, upper, lower],
+    params: { percent: 2.5, ...params },
+    lookback: ({ window }) => window - 1,
+    chart,
+    aos (ohlcs, { window, kernel, percent }) {
+      const average = new Sma(window)
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        const ohlc = ohlcs[targetIndex]
+        let mean = 0.0
+        if (kernel === 'naive') {
+          let sum = 0.0
+          for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+            sum += ohlcs[i][source]
+          }
+          mean = sum / (targetIndex - Math.max(0, startIndex) + 1)
+        } else {
+          mean = average.push(ohlc[source])
+        }
+        ohlc[middle] = mean
+        ohlc[upper] = mean * (1.0 + percent / 100.0)
+        ohlc[lower] = mean * (1.0 - percent / 100.0)
+      }
+    },
+    soa (ohlcSystem, { window, kernel, percent }) {
+      const values = ohlcSystem[`${source}s`]
+      const middles = ohlcSystem[`${middle}s`]
+      const uppers = ohlcSystem[`${upper}s`]
+      const lowers = ohlcSystem[`${lower}s`]
+      const average = new Sma(window)
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        let mean = 0.0
+        if (kernel === 'naive') {
+          let sum = 0.0
+          for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+            sum += values[i]
+          }
+          mean = sum / (targetIndex - Math.max(0, startIndex) + 1)
+        } else {
+          mean = average.push(values[targetIndex])
+        }
+        middles[targetIndex] = mean
+        uppers[targetIndex] = mean * (1.0 + percent / 100.0)
+        lowers[targetIndex] = mean * (1.0 - percent / 100.0)
+      }
+    }
+  }
+}
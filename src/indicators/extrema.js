@@ -0,0 +1,43 @@
+/**
+ * Highest and lowest values across a sliding window with amortized O(1) updates, shared by the indicator kernels.
+ * Each is a monotonic deque (a ring buffer of the window's candidate values): a value dominated by a newer value can never be
+ * the extremum of a later window, so it is dropped from the back, and the front is the extremum of the window.
+ */
+class RollingExtremum {
+  constructor (period) {
+    this.values = new Float64Array(period)
+    this.indices = new Float64Array(period) // the index of each value in the order pushed
+    this.head = 0
+    this.size = 0
+    this.count = 0
+  }
+
+  push (value) {
+    const period = this.values.length
+    if (this.size > 0 && this.indices[this.head] <= this.count - period) { // the front has left the window
+      this.head = (this.head + 1) % period
+      --this.size
+    }
+    while (this.size > 0 && this.dominates(value, this.values[(this.head + this.size - 1) % period])) {
+      --this.size
+    }
+    const tail = (this.head + this.size++) % period
+    this.values[tail] = value
+    this.indices[tail] = this.count++
+    return this.values[this.head]
+  }
+}
+
+class RollingMax extends RollingExtremum {
+  dominates (value, other) {
+    return value >= other
+  }
+}
+
+class RollingMin extends RollingExtremum {
+  dominates (value, other) {
+    return value <= other
+  }
+}
+
+module.exports = { RollingMax, RollingMin }
@@ -0,0 +1,83 @@
+const IndicatorRegistry = require('../indicator_registry.js')
+const price = require('./price.js')
+const bands = require('./bands.js')
+const bandMetrics = require('./band_metrics.js')
+const donchian = require('./donchian.js')
+const envelope = require('./envelope.js')
+const rsi = require('./rsi.js')
+const stochastic = require('./stochastic.js')
+const stochasticKd = require('./stochastic_kd.js')
+const mfi = require('./mfi.js')
+const movingAverage = require('./moving_averages.js')
+const macd = require('./macd.js')
+const atr = require('./atr.js')
+const adx = require('./adx.js')
+const keltner = require('./keltner.js')
+const rollingMedian = require('./rolling_median.js')
+const zScore = require('./z_score.js')
+const pair = require('./pair.js')
+
+/**
+ * The default registry of indicators used by `Ohlc` and `OhlcSystem`.
+ * Register additional indicators here (or on a new `IndicatorRegistry`) before constructing any Ohlc or OhlcSystem.
+ */
+const indicators = new IndicatorRegistry()
+price.forEach(indicator => indicators.register(indicator))
+
+// bands of each type with their %B and bandwidth, e.g. BAND_TYPES=bollinger,donchian,envelope
+function registerBands (band, prefix, source) {
+  indicators.register(band)
+  indicators.register(bandMetrics(band, prefix, source))
+}
+const bandTypes = (process.env.BAND_TYPES || 'bollinger').split(',').map(type => type.trim())
+for (const type of bandTypes) {
+  switch (type) {
+    case 'bollinger':
+      registerBands(bands('hl2', { id: 'hl2', title: 'HL/2', overlay: true }), 'hl2', 'hl2')
+      registerBands(bands('hlc3', { id: 'hlc3', title: 'HLC/3', overlay: true }), 'hlc3', 'hlc3')
+      registerBands(bands('ohlc4', { id: 'ohlc4', title: 'OHLC/4', overlay: true }), 'ohlc4', 'ohlc4')
+      break
+    case 'donchian':
+      registerBands(donchian, 'donchian', 'close')
+      break
+    case 'envelope':
+      for (const source of (process.env.ENVELOPE_SOURCES || 'close').split(',').map(source => source.trim())) {
+        registerBands(envelope(source, { id: `${source}-envelope`, title: `Envelope (${source})`, overlay: true }), `${source}Envelope`, source)
+      }
+      break
+    default:
+      throw new Error(`unknown band type: ${type}`)
+  }
+}
+
+indicators.register(rsi)
+indicators.register(stochastic)
+indicators.register(stochasticKd)
+indicators.register(mfi)
+indicators.register(macd)
+indicators.register(atr)
+indicators.register(adx)
+indicators.register(keltner)
+
+// rolling median and z-score of each source column, e.g. ROLLING_SOURCES=close,volume
+const rollingSources = (process.env.ROLLING_SOURCES || 'close').split(',').map(source => source.trim())
+for (const source of rollingSources) {
+  indicators.register(rollingMedian(source, { id: `${source}-median`, title: `Rolling Median (${source})`, overlay: true }))
+  indicators.register(zScore(source, { id: 'zscore', title: 'Z-Scores' }))
+}
+
+// rolling correlation and beta against the closes of another series, e.g. PAIR_CSV_FILENAME=./res/gemini_ETHUSD_1hr.csv
+if (process.env.PAIR_CSV_FILENAME) {
+  indicators.register(pair)
+}
+
+// moving averages of each type over each source column, e.g. MOVING_AVERAGE_SOURCES=close,hlc3
+const movingAverageTypes = (process.env.MOVING_AVERAGE_TYPES || movingAverage.TYPES.join(',')).split(',').map(type => type.trim())
+const movingAverageSources = (process.env.MOVING_AVERAGE_SOURCES || 'close').split(',').map(source => source.trim())
+for (const source of movingAverageSources) {
+  for (const type of movingAverageTypes) {
+    indicators.register(movingAverage(type, source, { id: `${source}-ma`, title: `Moving Averages (${source})`, overlay: true }))
+  }
+}
+
+module.exports = indicators
@@ -0,0 +1,52 @@
+const { Ema } = require('./averages.js')
+
+/**
+ * Keltner Channels: https://en.wikipedia.org/wiki/Keltner_channel
+ * The EMA of the close, with upper and lower channels a multiple of the Average True Range away.
+ */
+module.exports = {
+  name: 'keltner',
+  inputs: ['close', 'atr'],
+  outputs: ['keltnerMiddle', 'keltnerUpper', 'keltnerLower'],
+  params: { period: 20, multiplier: 2.0 },
+  chart: { id: 'keltner', title: 'Keltner Channels', overlay: true },
+  aos (ohlcs, { period, multiplier }) {
+    const average = new Ema(period)
+    for (let i = 0, length = ohlcs.length; i < length; ++i) {
+      const ohlc = ohlcs[i]
+      ohlc.keltnerMiddle = average.push(ohlc.close)
+      ohlc.keltnerUpper = ohlc.keltnerMiddle + multiplier * ohlc.atr
+      ohlc.keltnerLower = ohlc.keltnerMiddle - multiplier * ohlc.atr
+    }
+  },
+  soa (ohlcSystem, { period, multiplier }) {
+    const closes = ohlcSystem.closes
+    const atrs = ohlcSystem.atrs
+    const keltnerMiddles = ohlcSystem.keltnerMiddles
+    const keltnerUppers = ohlcSystem.keltnerUppers
+    const keltnerLowers = ohlcSystem.keltnerLowers
+    const average = new Ema(period)
+    for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+      keltnerMiddles[i] = average.push(closes[i])
+      keltnerUppers[i] = keltnerMiddles[i] + multiplier * atrs[i]
+      keltnerLowers[i] = keltnerMiddles[i] - multiplier * atrs[i]
+    }
+  },
+  stream ({ period, multiplier }) {
+    return {
+      average: new Ema(period),
+      aos (ohlcs, i) {
+        const ohlc = ohlcs[i]
+        ohlc.keltnerMiddle = this.average.push(ohlc.close)
+        ohlc.keltnerUpper = ohlc.keltnerMiddle + multiplier * ohlc.atr
+        ohlc.keltnerLower = ohlc.keltnerMiddle - multiplier * ohlc.atr
+      },
+      soa (ohlcSystem, i) {
+        const { closes, atrs, keltnerMiddles, keltnerUppers, keltnerLowers } = ohlcSystem
+        keltnerMiddles[i] = this.average.push(closes[i])
+        keltnerUppers[i] = keltnerMiddles[i] + multiplier * atrs[i]
+        keltnerLowers[i] = keltnerMiddles[i] - multiplier * atrs[i]
+      }
+    }
+  }
+}
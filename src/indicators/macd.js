@@ -0,0 +1,57 @@
+const { Ema } = require('./averages.js')
+
+/**
+ * Moving Average Convergence/Divergence: https://en.wikipedia.org/wiki/MACD
+ * The difference between the fast and slow EMAs of the close, its signal EMA, and the histogram of their difference.
+ */
+module.exports = {
+  name: 'macd',
+  inputs: ['close'],
+  outputs: ['macd', 'macdSignal', 'macdHistogram'],
+  params: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+  chart: { id: 'macd', title: 'MACD' },
+  aos (ohlcs, { fastPeriod, slowPeriod, signalPeriod }) {
+    const fastEma = new Ema(fastPeriod)
+    const slowEma = new Ema(slowPeriod)
+    const signalEma = new Ema(signalPeriod)
+    for (let i = 0, length = ohlcs.length; i < length; ++i) {
+      const ohlc = ohlcs[i]
+      ohlc.macd = fastEma.push(ohlc.close) - slowEma.push(ohlc.close)
+      ohlc.macdSignal = signalEma.push(ohlc.macd)
+      ohlc.macdHistogram = ohlc.macd - ohlc.macdSignal
+    }
+  },
+  soa (ohlcSystem, { fastPeriod, slowPeriod, signalPeriod }) {
+    const closes = ohlcSystem.closes
+    const macds = ohlcSystem.macds
+    const macdSignals = ohlcSystem.macdSignals
+    const macdHistograms = ohlcSystem.macdHistograms
+    const fastEma = new Ema(fastPeriod)
+    const slowEma = new Ema(slowPeriod)
+    const signalEma = new Ema(signalPeriod)
+    for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+      macds[i] = fastEma.push(closes[i]) - slowEma.push(closes[i])
+      macdSignals[i] = signalEma.push(macds[i])
+      macdHistograms[i] = macds[i] - macdSignals[i]
+    }
+  },
+  stream ({ fastPeriod, slowPeriod, signalPeriod }) {
+    return {
+      fastEma: new Ema(fastPeriod),
+      slowEma: new Ema(slowPeriod),
+      signalEma: new Ema(signalPeriod),
+      aos (ohlcs, i) {
+        const ohlc = ohlcs[i]
+        ohlc.macd = this.fastEma.push(ohlc.close) - this.slowEma.push(ohlc.close)
+        ohlc.macdSignal = this.signalEma.push(ohlc.macd)
+        ohlc.macdHistogram = ohlc.macd - ohlc.macdSignal
+      },
+      soa (ohlcSystem, i) {
+        const { closes, macds, macdSignals, macdHistograms } = ohlcSystem
+        macds[i] = this.fastEma.push(closes[i]) - this.slowEma.push(closes[i])
+        macdSignals[i] = this.signalEma.push(macds[i])
+        macdHistograms[i] = macds[i] - macdSignals[i]
+      }
+    }
+  }
+}
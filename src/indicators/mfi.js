@@ -0,0 +1,162 @@
+// a running sum within this fraction of a removed money flow has cancelled to rounding error, so it is summed again
+const CANCELLATION_EPSILON = 1e-9
+
+/**
+ * @returns the sum of the positive (`sign` 1) or negative (`sign` -1) money flows of the Ohlcs (from, to]
+ */
+function sumAos (ohlcs, from, to, sign) {
+  let sum = 0.0
+  for (let i = from + 1; i <= to; ++i) {
+    const moneyFlow = ohlcs[i].hlc3 * ohlcs[i].volume
+    const delta = moneyFlow - ohlcs[i - 1].hlc3 * ohlcs[i - 1].volume
+    if (sign > 0 ? delta > 1e-5 : delta < 1e-5) {
+      sum += moneyFlow
+    }
+  }
+  return sum
+}
+
+/**
+ * @returns the sum of the positive (`sign` 1) or negative (`sign` -1) money flows of the rows (from, to]
+ */
+function sumSoa (hlc3s, volumes, from, to, sign) {
+  let sum = 0.0
+  for (let i = from + 1; i <= to; ++i) {
+    const moneyFlow = hlc3s[i] * volumes[i]
+    const delta = moneyFlow - hlc3s[i - 1] * volumes[i - 1]
+    if (sign > 0 ? delta > 1e-5 : delta < 1e-5) {
+      sum += moneyFlow
+    }
+  }
+  return sum
+}
+
+/**
+ * Money Flow Index: https://en.wikipedia.org/wiki/Money_flow_index
+ */
+module.exports = {
+  name: 'mfi',
+  inputs: ['hlc3', 'volume'],
+  outputs: ['mfi'],
+  lookback: ({ window }) => window - 1,
+  chart: { id: 'osc', title: 'Oscillators' },
+  aos (ohlcs, { window, kernel }) {
+    if (kernel === 'naive') {
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        let positive = 0.0; let negative = 0.0
+        for (let i = Math.max(0, startIndex) + 1; i <= targetIndex; ++i) {
+          const currentMoneyFlow = ohlcs[i].hlc3 * ohlcs[i].volume
+          const prevMoneyFlow = ohlcs[i - 1].hlc3 * ohlcs[i - 1].volume
+          const delta = currentMoneyFlow - prevMoneyFlow
+          if (delta > 1e-5) {
+            positive += currentMoneyFlow
+          } else if (delta < 1e-5) {
+            negative += currentMoneyFlow
+          }
+        }
+        const moneyFlow = negative === 0.0 ? 0.0 : (positive / negative)
+        ohlcs[targetIndex].mfi = 100.0 - (100.0 / (1.0 + moneyFlow))
+      }
+    } else {
+      // running sums of positive/negative money flow; the counts of non-zero flows keep an empty sum exactly zero despite rounding
+      let positive = 0.0; let negative = 0.0
+      let positiveCount = 0; let negativeCount = 0
+      for (let targetIndex = 0, length = ohlcs.length; targetIndex < length; ++targetIndex) {
+        if (targetIndex >= 1) {
+          const currentMoneyFlow = ohlcs[targetIndex].hlc3 * ohlcs[targetIndex].volume
+          const delta = currentMoneyFlow - ohlcs[targetIndex - 1].hlc3 * ohlcs[targetIndex - 1].volume
+          if (delta > 1e-5) {
+            positive += currentMoneyFlow
+            if (currentMoneyFlow !== 0.0) {
+              ++positiveCount
+            }
+          } else if (delta < 1e-5) {
+            negative += currentMoneyFlow
+            if (currentMoneyFlow !== 0.0) {
+              ++negativeCount
+            }
+          }
+        }
+        const removeIndex = targetIndex - window + 1 // the flow into the window start is no longer counted
+        if (removeIndex >= 1) {
+          const removeMoneyFlow = ohlcs[removeIndex].hlc3 * ohlcs[removeIndex].volume
+          const delta = removeMoneyFlow - ohlcs[removeIndex - 1].hlc3 * ohlcs[removeIndex - 1].volume
+          if (delta > 1e-5 && removeMoneyFlow !== 0.0) {
+            positive = --positiveCount === 0 ? 0.0 : positive - removeMoneyFlow
+            if (positiveCount > 0 && positive < CANCELLATION_EPSILON * removeMoneyFlow) {
+              positive = sumAos(ohlcs, removeIndex, targetIndex, 1)
+            }
+          } else if (delta < 1e-5 && removeMoneyFlow !== 0.0) {
+            negative = --negativeCount === 0 ? 0.0 : negative - removeMoneyFlow
+            if (negativeCount > 0 && negative < CANCELLATION_EPSILON * removeMoneyFlow) {
+              negative = sumAos(ohlcs, removeIndex, targetIndex, -1)
+            }
+          }
+        }
+        const moneyFlow = negative === 0.0 ? 0.0 : (positive / negative)
+        ohlcs[targetIndex].mfi = 100.0 - (100.0 / (1.0 + moneyFlow))
+      }
+    }
+  },
+  soa (ohlcSystem, { window, kernel }) {
+    const hlc3s = ohlcSystem.hlc3s
+    const volumes = ohlcSystem.volumes
+    const mfis = ohlcSystem.mfis
+    if (kernel === 'naive') {
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        let positive = 0.0; let negative = 0.0
+        for (let i = Math.max(0, startIndex) + 1; i <= targetIndex; ++i) {
+          const currentMoneyFlow = hlc3s[i] * volumes[i]
+          const prevMoneyFlow = hlc3s[i - 1] * volumes[i - 1]
+          const delta = currentMoneyFlow - prevMoneyFlow
+          if (delta > 1e-5) {
+            positive += currentMoneyFlow
+          } else if (delta < 1e-5) {
+            negative += currentMoneyFlow
+          }
+        }
+        const moneyFlow = negative === 0.0 ? 0.0 : (positive / negative)
+        mfis[targetIndex] = 100.0 - (100.0 / (1.0 + moneyFlow))
+      }
+    } else {
+      // running sums of positive/negative money flow; the counts of non-zero flows keep an empty sum exactly zero despite rounding
+      let positive = 0.0; let negative = 0.0
+      let positiveCount = 0; let negativeCount = 0
+      for (let targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++targetIndex) {
+        if (targetIndex >= 1) {
+          const currentMoneyFlow = hlc3s[targetIndex] * volumes[targetIndex]
+          const delta = currentMoneyFlow - hlc3s[targetIndex - 1] * volumes[targetIndex - 1]
+          if (delta > 1e-5) {
+            positive += currentMoneyFlow
+            if (currentMoneyFlow !== 0.0) {
+              ++positiveCount
+            }
+          } else if (delta < 1e-5) {
+            negative += currentMoneyFlow
+            if (currentMoneyFlow !== 0.0) {
+              ++negativeCount
+            }
+          }
+        }
+        const removeIndex = targetIndex - window + 1 // the flow into the window start is no longer counted
+        if (removeIndex >= 1) {
+          const removeMoneyFlow = hlc3s[removeIndex] * volumes[removeIndex]
+          const delta = removeMoneyFlow - hlc3s[removeIndex - 1] * volumes[removeIndex - 1]
+          if (delta > 1e-5 && removeMoneyFlow !== 0.0) {
+            positive = --positiveCount === 0 ? 0.0 : positive - removeMoneyFlow
+            if (positiveCount > 0 && positive < CANCELLATION_EPSILON * removeMoneyFlow) {
+              positive = sumSoa(hlc3s, volumes, removeIndex, targetIndex, 1)
+            }
+          } else if (delta < 1e-5 && removeMoneyFlow !== 0.0) {
+            negative = --negativeCount === 0 ? 0.0 : negative - removeMoneyFlow
+            if (negativeCount > 0 && negative < CANCELLATION_EPSILON * removeMoneyFlow) {
+              negative = sumSoa(hlc3s, volumes, removeIndex, targetIndex, -1)
+            }
+          }
+        }
+        const moneyFlow = negative === 0.0 ? 0.0 : (positive / negative)
+        mfis[targetIndex] = 100.0 - (100.0 / (1.0 + moneyFlow))
+      }
+    }
+  }
+}
@@ -0,0 +1,137 @@
+const { Sma, Wma, Ema, Dema, Tema, Hma } = require('./averages.js')
+
+/**
+ * Moving Averages: https://en.wikipedia.org/wiki/Moving_average
+ * Each average is calculated in one pass with O(1) updates per period, so the `kernel` parameter does not apply.
+ */
+
+const averages = { sma: Sma, ema: Ema, wma: Wma, dema: Dema, tema: Tema, hma: Hma }
+
+// the exponential averages are recursive, so they have no exact lookback
+const lookbacks = {
+  sma: ({ window, period = window }) => period - 1,
+  wma: ({ window, period = window }) => period - 1,
+  hma: ({ window, period = window }) => (period - 1) + (Math.max(1, Math.round(Math.sqrt(period))) - 1)
+}
+
+/**
+ * @param type the type of average: 'sma', 'ema', 'wma', 'dema', 'tema', 'hma' or 'vwap'
+ * @param source the `Ohlc` field name of the source column (e.g. 'close' or 'hlc3')
+ * @param chart the chart in which the average is plotted
+ * @returns the indicator calculating `<source><Type>` (e.g. `closeEma`) over the `period` parameter, defaulting to the window
+ */
+function movingAverage (type, source, chart) {
+  if (type === 'vwap') {
+    return vwap(source, chart)
+  }
+  if (!(type in averages)) {
+    throw new Error(`unknown moving average: ${type}`)
+  }
+  const Average = averages[type]
+  const output = `${source}${type.charAt(0).toUpperCase()}${type.slice(1)}`
+  return {
+    name: output,
+    inputs: [source],
+    outputs: [output],
+    lookback: lookbacks[type],
+    chart,
+    aos (ohlcs, { window, period = window }) {
+      const average = new Average(period)
+      for (let i = 0, length = ohlcs.length; i < length; ++i) {
+        const ohlc = ohlcs[i]
+        ohlc[output] = average.push(ohlc[source])
+      }
+    },
+    soa (ohlcSystem, { window, period = window }) {
+      const values = ohlcSystem[`${source}s`]
+      const outputs = ohlcSystem[`${output}s`]
+      const average = new Average(period)
+      for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+        outputs[i] = average.push(values[i])
+      }
+    },
+    stream ({ window, period = window }) {
+      return {
+        average: new Average(period),
+        aos (ohlcs, i) {
+          ohlcs[i][output] = this.average.push(ohlcs[i][source])
+        },
+        soa (ohlcSystem, i) {
+          ohlcSystem[`${output}s`][i] = this.average.push(ohlcSystem[`${source}s`][i])
+        }
+      }
+    }
+  }
+}
+
+const MILLIS_PER_DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Volume-Weighted Average Price: https://en.wikipedia.org/wiki/Volume-weighted_average_price
+ * Anchored to each session (UTC day), so the cumulative sums restart when the day of the timestamp changes.
+ */
+function vwap (source, chart) {
+  const output = `${source}Vwap`
+  return {
+    name: output,
+    inputs: [source, 'volume', 'timestamp'],
+    outputs: [output],
+    chart,
+    aos (ohlcs) {
+      let priceVolume = 0.0; let volume = 0.0; let session = NaN
+      for (let i = 0, length = ohlcs.length; i < length; ++i) {
+        const ohlc = ohlcs[i]
+        const day = Math.floor(ohlc.timestamp / MILLIS_PER_DAY)
+        if (day !== session) {
+          priceVolume = 0.0; volume = 0.0; session = day
+        }
+        priceVolume += ohlc[source] * ohlc.volume
+        volume += ohlc.volume
+        ohlc[output] = volume === 0.0 ? ohlc[source] : (priceVolume / volume)
+      }
+    },
+    soa (ohlcSystem) {
+      const values = ohlcSystem[`${source}s`]
+      const volumes = ohlcSystem.volumes
+      const timestamps = ohlcSystem.timestamps
+      const outputs = ohlcSystem[`${output}s`]
+      let priceVolume = 0.0; let volume = 0.0; let session = NaN
+      for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+        const day = Math.floor(timestamps[i] / MILLIS_PER_DAY)
+        if (day !== session) {
+          priceVolume = 0.0; volume = 0.0; session = day
+        }
+        priceVolume += values[i] * volumes[i]
+        volume += volumes[i]
+        outputs[i] = volume === 0.0 ? values[i] : (priceVolume / volume)
+      }
+    },
+    stream () {
+      return {
+        priceVolume: 0.0,
+        volume: 0.0,
+        session: NaN,
+        push (timestamp, value, volume) {
+          const day = Math.floor(timestamp / MILLIS_PER_DAY)
+          if (day !== this.session) {
+            this.priceVolume = 0.0; this.volume = 0.0; this.session = day
+          }
+          this.priceVolume += value * volume
+          this.volume += volume
+          return this.volume === 0.0 ? value : (this.priceVolume / this.volume)
+        },
+        aos (ohlcs, i) {
+          const ohlc = ohlcs[i]
+          ohlc[output] = this.push(ohlc.timestamp, ohlc[source], ohlc.volume)
+        },
+        soa (ohlcSystem, i) {
+          ohlcSystem[`${output}s`][i] = this.push(ohlcSystem.timestamps[i], ohlcSystem[`${source}s`][i], ohlcSystem.volumes[i])
+        }
+      }
+    }
+  }
+}
+
+movingAverage.TYPES = Object.keys(averages).concat(['vwap'])
+
+module.exports = movingAverage
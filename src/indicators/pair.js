@@ -0,0 +1,158 @@
+/**
+ * Rolling correlation and beta of the returns of a series against those of a benchmark, over ring buffers of the returns
+ * of the window's pairs. The rows are pushed in ascending timestamp order and aligned with the benchmark row of the same
+ * timestamp, and the returns are between consecutive aligned rows, so both returns of a pair span the same interval.
+ */
+class RollingPair {
+  constructor (window) {
+    this.returns = new Float64Array(window)
+    this.benchmarkReturns = new Float64Array(window)
+    this.count = 0
+    this.head = 0
+    this.sum = 0.0
+    this.benchmarkSum = 0.0
+    this.sumSq = 0.0
+    this.benchmarkSumSq = 0.0
+    this.sumProducts = 0.0
+    this.benchmarkIndex = 0 // the merge join position in the benchmark
+    this.close = NaN // the closes of the last aligned row
+    this.benchmarkClose = NaN
+    this.correlation = NaN
+    this.beta = NaN
+  }
+
+  /**
+   * @param timestamp the timestamp of the row
+   * @param close the close of the row
+   * @param benchmark `{ timestamps, closes, length }` of the benchmark, or null
+   * @param naive true to re-scan the window's pairs rather than update running sums
+   * @returns this, with the `correlation` and `beta` of the row (NaN if it is not aligned)
+   */
+  push (timestamp, close, benchmark, naive) {
+    this.correlation = NaN
+    this.beta = NaN
+    if (!benchmark) {
+      return this
+    }
+    let j = this.benchmarkIndex
+    while (j < benchmark.length && benchmark.timestamps[j] < timestamp) {
+      ++j
+    }
+    this.benchmarkIndex = j
+    if (j === benchmark.length || benchmark.timestamps[j] !== timestamp) {
+      return this
+    }
+    const benchmarkClose = benchmark.closes[j]
+    if (this.close > 0 && this.benchmarkClose > 0) {
+      this.add(close / this.close - 1, benchmarkClose / this.benchmarkClose - 1)
+      this.calculate(naive)
+    }
+    this.close = close
+    this.benchmarkClose = benchmarkClose
+    return this
+  }
+
+  add (value, benchmarkValue) {
+    const window = this.returns.length
+    if (this.count === window) { // remove the oldest pair
+      const oldValue = this.returns[this.head]
+      const oldBenchmarkValue = this.benchmarkReturns[this.head]
+      this.sum -= oldValue
+      this.benchmarkSum -= oldBenchmarkValue
+      this.sumSq -= oldValue * oldValue
+      this.benchmarkSumSq -= oldBenchmarkValue * oldBenchmarkValue
+      this.sumProducts -= oldValue * oldBenchmarkValue
+      this.head = (this.head + 1) % window
+      --this.count
+    }
+    const slot = (this.head + this.count++) % window
+    this.returns[slot] = value
+    this.benchmarkReturns[slot] = benchmarkValue
+    this.sum += value
+    this.benchmarkSum += benchmarkValue
+    this.sumSq += value * value
+    this.benchmarkSumSq += benchmarkValue * benchmarkValue
+    this.sumProducts += value * benchmarkValue
+  }
+
+  calculate (naive) {
+    const { returns, benchmarkReturns, count, head } = this
+    const window = returns.length
+    let covariance = 0.0
+    let variance = 0.0
+    let benchmarkVariance = 0.0
+    if (naive) { // two passes over the window's pairs
+      let mean = 0.0
+      let benchmarkMean = 0.0
+      for (let k = 0; k < count; ++k) {
+        mean += returns[(head + k) % window] / count
+        benchmarkMean += benchmarkReturns[(head + k) % window] / count
+      }
+      for (let k = 0; k < count; ++k) {
+        const delta = returns[(head + k) % window] - mean
+        const benchmarkDelta = benchmarkReturns[(head + k) % window] - benchmarkMean
+        covariance += delta * benchmarkDelta
+        variance += delta * delta
+        benchmarkVariance += benchmarkDelta * benchmarkDelta
+      }
+    } else {
+      covariance = this.sumProducts - this.sum * this.benchmarkSum / count
+      variance = Math.max(0.0, this.sumSq - this.sum * this.sum / count)
+      benchmarkVariance = Math.max(0.0, this.benchmarkSumSq - this.benchmarkSum * this.benchmarkSum / count)
+    }
+    if (count > 1) { // the divisors (count - 1) of the covariance and variances cancel
+      this.correlation = variance > 0 && benchmarkVariance > 0 ? covariance / Math.sqrt(variance * benchmarkVariance) : NaN
+      this.beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : NaN
+    }
+  }
+}
+
+/**
+ * Rolling Correlation (https://en.wikipedia.org/wiki/Pearson_correlation_coefficient) and Beta (https://en.wikipedia.org/wiki/Beta_(finance))
+ * of the returns of the close against those of a benchmark series, e.g. BTC against ETH, over the last `window` returns.
+ * The `benchmark` parameter is `{ timestamps, closes, length }` in ascending timestamp order (such as another `OhlcSystem`),
+ * aligned on the timestamps; rows without a benchmark row of the same timestamp, or without a benchmark, are NaN.
+ */
+module.exports = {
+  name: 'pair',
+  inputs: ['timestamp', 'close'],
+  outputs: ['correlation', 'beta'],
+  params: { benchmark: null },
+  lookback: ({ window }) => window, // exact while every row is aligned, as the returns of the window span one more row
+  chart: { id: 'pair', title: 'Correlation and Beta' },
+  aos (ohlcs, { window, kernel, benchmark }) {
+    const pair = new RollingPair(window)
+    for (let i = 0, length = ohlcs.length; i < length; ++i) {
+      const ohlc = ohlcs[i]
+      pair.push(ohlc.timestamp, ohlc.close, benchmark, kernel === 'naive')
+      ohlc.correlation = pair.correlation
+      ohlc.beta = pair.beta
+    }
+  },
+  soa (ohlcSystem, { window, kernel, benchmark }) {
+    const { timestamps, closes, correlations, betas } = ohlcSystem
+    const pair = new RollingPair(window)
+    for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+      pair.push(timestamps[i], closes[i], benchmark, kernel === 'naive')
+      correlations[i] = pair.correlation
+      betas[i] = pair.beta
+    }
+  },
+  stream ({ window, kernel, benchmark }) {
+    return {
+      pair: new RollingPair(window),
+      aos (ohlcs, i) {
+        const ohlc = ohlcs[i]
+        this.pair.push(ohlc.timestamp, ohlc.close, benchmark, kernel === 'naive')
+        ohlc.correlation = this.pair.correlation
+        ohlc.beta = this.pair.beta
+      },
+      soa (ohlcSystem, i) {
+        const { timestamps, closes, correlations, betas } = ohlcSystem
+        this.pair.push(timestamps[i], closes[i], benchmark, kernel === 'naive')
+        correlations[i] = this.pair.correlation
+        betas[i] = this.pair.beta
+      }
+    }
+  }
+}
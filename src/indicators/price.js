@@ -0,0 +1,85 @@
+const SimdUtils = require('../util/simd_utils.js')
+
+/**
+ * Price transforms of each OHLC, used as the source of other indicators.
+ */
+module.exports = [
+  {
+    name: 'hl2', // High-Low Midpoint
+    inputs: ['high', 'low'],
+    outputs: ['hl2'],
+    lookback: () => 0,
+    chart: { id: 'hl2', title: 'HL/2', overlay: true },
+    aos (ohlcs) {
+      for (let i = 0, length = ohlcs.length; i < length; ++i) {
+        const ohlc = ohlcs[i]
+        ohlc.hl2 = (ohlc.high + ohlc.low) / 2.0
+      }
+    },
+    soa (ohlcSystem) {
+      const hl2s = ohlcSystem.hl2s
+      const highs = ohlcSystem.highs
+      const lows = ohlcSystem.lows
+      for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+        hl2s[i] = (highs[i] + lows[i]) / 2.0
+      }
+    },
+    simd (ohlcSystem) {
+      const { highs, lows, hl2s } = ohlcSystem
+      SimdUtils.kernels(ohlcSystem).hl2(highs.byteOffset, lows.byteOffset, hl2s.byteOffset, ohlcSystem.length)
+    }
+  },
+  {
+    name: 'hlc3', // Typical Price: https://en.wikipedia.org/wiki/Typical_price
+    inputs: ['high', 'low', 'close'],
+    outputs: ['hlc3'],
+    lookback: () => 0,
+    chart: { id: 'hlc3', title: 'HLC/3', overlay: true },
+    aos (ohlcs) {
+      for (let i = 0, length = ohlcs.length; i < length; ++i) {
+        const ohlc = ohlcs[i]
+        ohlc.hlc3 = (ohlc.high + ohlc.low + ohlc.close) / 3.0
+      }
+    },
+    soa (ohlcSystem) {
+      const hlc3s = ohlcSystem.hlc3s
+      const highs = ohlcSystem.highs
+      const lows = ohlcSystem.lows
+      const closes = ohlcSystem.closes
+      for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+        hlc3s[i] = (highs[i] + lows[i] + closes[i]) / 3.0
+      }
+    },
+    simd (ohlcSystem) {
+      const { highs, lows, closes, hlc3s } = ohlcSystem
+      SimdUtils.kernels(ohlcSystem).hlc3(highs.byteOffset, lows.byteOffset, closes.byteOffset, hlc3s.byteOffset, ohlcSystem.length)
+    }
+  },
+  {
+    name: 'ohlc4', // Average of OHLC values
+    inputs: ['open', 'high', 'low', 'close'],
+    outputs: ['ohlc4'],
+    lookback: () => 0,
+    chart: { id: 'ohlc4', title: 'OHLC/4', overlay: true },
+    aos (ohlcs) {
+      for (let i = 0, length = ohlcs.length; i < length; ++i) {
+        const ohlc = ohlcs[i]
+        ohlc.ohlc4 = (ohlc.open + ohlc.high + ohlc.low + ohlc.close) / 4.0
+      }
+    },
+    soa (ohlcSystem) {
+      const ohlc4s = ohlcSystem.ohlc4s
+      const opens = ohlcSystem.opens
+      const highs = ohlcSystem.highs
+      const lows = ohlcSystem.lows
+      const closes = ohlcSystem.closes
+      for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+        ohlc4s[i] = (opens[i] + highs[i] + lows[i] + closes[i]) / 4.0
+      }
+    },
+    simd (ohlcSystem) {
+      const { opens, highs, lows, closes, ohlc4s } = ohlcSystem
+      SimdUtils.kernels(ohlcSystem).ohlc4(opens.byteOffset, highs.byteOffset, lows.byteOffset, closes.byteOffset, ohlc4s.byteOffset, ohlcSystem.length)
+    }
+  }
+]
@@ -0,0 +1,182 @@
+const QuantileUtils = require('../util/quantile_utils.js')
+
+/**
+ * Binary heap of the slots of a ring buffer, ordered by their values (the greatest first if `sign` is -1, the least first if 1),
+ * tracking the position of each slot in the heap so any slot can be removed in O(log n).
+ */
+class SlotHeap {
+  constructor (values, sign) {
+    this.values = values
+    this.sign = sign
+    this.slots = new Int32Array(values.length)
+    this.positions = new Int32Array(values.length).fill(-1)
+    this.size = 0
+  }
+
+  has (slot) {
+    return this.positions[slot] >= 0
+  }
+
+  top () {
+    return this.values[this.slots[0]]
+  }
+
+  push (slot) {
+    this.slots[this.size] = slot
+    this.positions[slot] = this.size
+    this.up(this.size++)
+  }
+
+  pop () {
+    const slot = this.slots[0]
+    this.remove(slot)
+    return slot
+  }
+
+  remove (slot) {
+    const position = this.positions[slot]
+    const last = this.slots[--this.size]
+    this.positions[slot] = -1
+    if (position < this.size) {
+      this.slots[position] = last
+      this.positions[last] = position
+      this.down(this.up(position))
+    }
+  }
+
+  before (i, j) {
+    return this.sign * (this.values[this.slots[i]] - this.values[this.slots[j]]) < 0
+  }
+
+  up (i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (!this.before(i, parent)) {
+        break
+      }
+      this.swap(i, parent)
+      i = parent
+    }
+    return i
+  }
+
+  down (i) {
+    for (;;) {
+      const left = 2 * i + 1
+      const right = left + 1
+      let first = i
+      if (left < this.size && this.before(left, first)) {
+        first = left
+      }
+      if (right < this.size && this.before(right, first)) {
+        first = right
+      }
+      if (first === i) {
+        return i
+      }
+      this.swap(i, first)
+      i = first
+    }
+  }
+
+  swap (i, j) {
+    const a = this.slots[i]
+    const b = this.slots[j]
+    this.slots[i] = b
+    this.slots[j] = a
+    this.positions[b] = i
+    this.positions[a] = j
+  }
+}
+
+/**
+ * Rolling median over a ring buffer of the window's values, split between two heaps: the lower half (greatest first)
+ * and the upper half (least first), with the lower half holding the middle value of an odd count.
+ * Each period replaces the oldest value in O(log window). NaN values are not counted.
+ */
+class RollingMedian {
+  constructor (period) {
+    this.values = new Float64Array(period)
+    this.lower = new SlotHeap(this.values, -1)
+    this.upper = new SlotHeap(this.values, 1)
+    this.index = 0
+  }
+
+  push (value) {
+    const slot = this.index++ % this.values.length
+    if (this.lower.has(slot)) {
+      this.lower.remove(slot)
+    } else if (this.upper.has(slot)) {
+      this.upper.remove(slot)
+    }
+    this.values[slot] = value
+    if (!Number.isNaN(value)) {
+      if (this.lower.size === 0 || value <= this.lower.top()) {
+        this.lower.push(slot)
+      } else {
+        this.upper.push(slot)
+      }
+    }
+    while (this.lower.size > this.upper.size + 1) {
+      this.upper.push(this.lower.pop())
+    }
+    while (this.upper.size > this.lower.size) {
+      this.lower.push(this.upper.pop())
+    }
+    return this.lower.size === 0
+      ? NaN
+      : this.lower.size > this.upper.size ? this.lower.top() : (this.lower.top() + this.upper.top()) / 2.0
+  }
+}
+
+/**
+ * Rolling Median: https://en.wikipedia.org/wiki/Median_filter
+ * The median of a source column across the window (the mean of the two middle values of an even count), robust to spikes.
+ * The naive kernel selects the median of each window (see `QuantileUtils`) in O(window), and the incremental kernel
+ * slides the window across two heaps in O(log window).
+ * @param source the `Ohlc` field name of the source column (e.g. 'close')
+ * @param chart the chart in which the median is plotted
+ * @returns the indicator calculating `<source>RollingMedian`
+ */
+module.exports = function rollingMedian (source, chart) {
+  const output = `${source}RollingMedian`
+  return {
+    name: output,
+    inputs: [source],
+    outputs: [output],
+    lookback: ({ window }) => window - 1,
+    chart,
+    aos (ohlcs, { window, kernel }) {
+      if (kernel === 'naive') {
+        const values = new Float64Array(window)
+        for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+          let count = 0
+          for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+            values[count++] = ohlcs[i][source]
+          }
+          ohlcs[targetIndex][output] = QuantileUtils.median(values, count)
+        }
+      } else {
+        const median = new RollingMedian(window)
+        for (let i = 0, length = ohlcs.length; i < length; ++i) {
+          ohlcs[i][output] = median.push(ohlcs[i][source])
+        }
+      }
+    },
+    soa (ohlcSystem, { window, kernel }) {
+      const values = ohlcSystem[`${source}s`]
+      const medians = ohlcSystem[`${output}s`]
+      if (kernel === 'naive') {
+        for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+          const start = Math.max(0, startIndex)
+          medians[targetIndex] = QuantileUtils.median(values.subarray(start, targetIndex + 1), targetIndex + 1 - start)
+        }
+      } else {
+        const median = new RollingMedian(window)
+        for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+          medians[i] = median.push(values[i])
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Relative Strength Index: https://en.wikipedia.org/wiki/Relative_strength_index
+ * Modes:
+ * - 'wilder' - Wilder's smoothing seeded by the average gain/loss of the first window, carried across the whole series
+ *   (matches TA-Lib and common charting platforms; until the seed window is full, the average of the available periods is used)
+ * - 'legacy' - smoothing restarted in each window
+ */
+module.exports = {
+  name: 'rsi',
+  inputs: ['close'],
+  outputs: ['rsi'],
+  params: { mode: 'wilder' },
+  lookback: ({ window, mode }) => mode === 'legacy' ? window - 1 : 0, // Wilder's smoothing is recursive
+  chart: { id: 'osc', title: 'Oscillators' },
+  aos (ohlcs, { window, mode }) {
+    if (mode === 'wilder') {
+      let gainAverage = 0.0; let lossAverage = 0.0
+      for (let i = 0, length = ohlcs.length; i < length; ++i) {
+        if (i >= 1) {
+          const delta = ohlcs[i].close - ohlcs[i - 1].close
+          const gain = delta > 0.0 ? delta : 0.0
+          const loss = delta < 0.0 ? -delta : 0.0
+          const periods = Math.min(i, window)
+          gainAverage = (gainAverage * (periods - 1) + gain) / periods
+          lossAverage = (lossAverage * (periods - 1) + loss) / periods
+        }
+        const total = gainAverage + lossAverage
+        ohlcs[i].rsi = total === 0.0 ? 0.0 : (100.0 * (gainAverage / total))
+      }
+      return
+    }
+    if (mode !== 'legacy') {
+      throw new Error(`unknown rsi mode: ${mode}`)
+    }
+    for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+      const clampedStartIndex = Math.max(0, startIndex)
+      const periods = targetIndex - clampedStartIndex + 1
+      let upEma = 0.0; let downEma = 0.0
+      for (let i = clampedStartIndex + 1; i <= targetIndex; ++i) {
+        const delta = ohlcs[i].close - ohlcs[i - 1].close
+        let up = 0.0; let down = 0.0
+        if (delta > 1e-5) {
+          up = delta
+        } else if (delta < 1e-5) {
+          down = -delta
+        }
+        upEma = (upEma * (periods - 1) + up) / periods
+        downEma = (downEma * (periods - 1) + down) / periods
+      }
+      const rs = downEma === 0.0 ? 0.0 : (upEma / downEma)
+      ohlcs[targetIndex].rsi = 100.0 - (100.0 / (1.0 + rs))
+    }
+  },
+  soa (ohlcSystem, { window, mode }) {
+    const closes = ohlcSystem.closes
+    const rsis = ohlcSystem.rsis
+    if (mode === 'wilder') {
+      let gainAverage = 0.0; let lossAverage = 0.0
+      for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+        if (i >= 1) {
+          const delta = closes[i] - closes[i - 1]
+          const gain = delta > 0.0 ? delta : 0.0
+          const loss = delta < 0.0 ? -delta : 0.0
+          const periods = Math.min(i, window)
+          gainAverage = (gainAverage * (periods - 1) + gain) / periods
+          lossAverage = (lossAverage * (periods - 1) + loss) / periods
+        }
+        const total = gainAverage + lossAverage
+        rsis[i] = total === 0.0 ? 0.0 : (100.0 * (gainAverage / total))
+      }
+      return
+    }
+    if (mode !== 'legacy') {
+      throw new Error(`unknown rsi mode: ${mode}`)
+    }
+    for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+      const periods = targetIndex - startIndex + 1
+      let upEma = 0.0; let downEma = 0.0
+      for (let i = Math.max(0, startIndex) + 1; i <= targetIndex; ++i) {
+        const delta = closes[i] - closes[i - 1]
+        let up = 0.0; let down = 0.0
+        if (delta > 1e-5) {
+          up = delta
+        } else if (delta < 1e-5) {
+          down = -delta
+        }
+        upEma = (upEma * (periods - 1) + up) / periods
+        downEma = (downEma * (periods - 1) + down) / periods
+      }
+      const rs = downEma === 0.0 ? 0.0 : (upEma / downEma)
+      rsis[targetIndex] = 100.0 - (100.0 / (1.0 + rs))
+    }
+  },
+  stream ({ window, mode }) {
+    if (mode !== 'wilder') {
+      return null // the legacy smoothing restarts in each window, so it is recalculated over the lookback
+    }
+    return {
+      periods: 0, // the periods averaged, counted rather than taken from the row index so rows can be calculated in batches
+      gainAverage: 0.0,
+      lossAverage: 0.0,
+      push (delta) {
+        const gain = delta > 0.0 ? delta : 0.0
+        const loss = delta < 0.0 ? -delta : 0.0
+        this.periods = Math.min(this.periods + 1, window)
+        this.gainAverage = (this.gainAverage * (this.periods - 1) + gain) / this.periods
+        this.lossAverage = (this.lossAverage * (this.periods - 1) + loss) / this.periods
+      },
+      rsi () {
+        const total = this.gainAverage + this.lossAverage
+        return total === 0.0 ? 0.0 : (100.0 * (this.gainAverage / total))
+      },
+      aos (ohlcs, i) {
+        if (i >= 1) {
+          this.push(ohlcs[i].close - ohlcs[i - 1].close)
+        }
+        ohlcs[i].rsi = this.rsi()
+      },
+      soa (ohlcSystem, i) {
+        const closes = ohlcSystem.closes
+        if (i >= 1) {
+          this.push(closes[i] - closes[i - 1])
+        }
+        ohlcSystem.rsis[i] = this.rsi()
+      }
+    }
+  }
+}
@@ -0,0 +1,59 @@
+const { RollingMax, RollingMin } = require('./extrema.js')
+
+/**
+ * Fast Stochastic: https://en.wikipedia.org/wiki/Stochastic_oscillator
+ */
+module.exports = {
+  name: 'stochastic',
+  inputs: ['high', 'low', 'close'],
+  outputs: ['stochastic'],
+  lookback: ({ window }) => window - 1,
+  chart: { id: 'osc', title: 'Oscillators' },
+  aos (ohlcs, { window, kernel }) {
+    if (kernel === 'naive') {
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        let high = ohlcs[targetIndex].high
+        let low = ohlcs[targetIndex].low
+        for (let i = Math.max(0, startIndex); i < targetIndex; ++i) {
+          high = Math.max(high, ohlcs[i].high)
+          low = Math.min(low, ohlcs[i].low)
+        }
+        ohlcs[targetIndex].stochastic = high === low ? 0.0 : (100.0 * ((ohlcs[targetIndex].close - low) / (high - low)))
+      }
+    } else {
+      const highest = new RollingMax(window)
+      const lowest = new RollingMin(window)
+      for (let targetIndex = 0, length = ohlcs.length; targetIndex < length; ++targetIndex) {
+        const ohlc = ohlcs[targetIndex]
+        const high = highest.push(ohlc.high)
+        const low = lowest.push(ohlc.low)
+        ohlc.stochastic = high === low ? 0.0 : (100.0 * ((ohlc.close - low) / (high - low)))
+      }
+    }
+  },
+  soa (ohlcSystem, { window, kernel }) {
+    const highs = ohlcSystem.highs
+    const lows = ohlcSystem.lows
+    const closes = ohlcSystem.closes
+    const stochastics = ohlcSystem.stochastics
+    if (kernel === 'naive') {
+      for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+        let high = highs[targetIndex]
+        let low = lows[targetIndex]
+        for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+          high = Math.max(high, highs[i])
+          low = Math.min(low, lows[i])
+        }
+        stochastics[targetIndex] = high === low ? 0.0 : (100.0 * ((closes[targetIndex] - low) / (high - low)))
+      }
+    } else {
+      const highest = new RollingMax(window)
+      const lowest = new RollingMin(window)
+      for (let targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++targetIndex) {
+        const high = highest.push(highs[targetIndex])
+        const low = lowest.push(lows[targetIndex])
+        stochastics[targetIndex] = high === low ? 0.0 : (100.0 * ((closes[targetIndex] - low) / (high - low)))
+      }
+    }
+  }
+}
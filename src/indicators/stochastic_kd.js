@@ -0,0 +1,55 @@
+const { Sma } = require('./averages.js')
+
+/**
+ * @returns the `kSmoothing` and `dPeriod` of the stochastic type
+ */
+function smoothing ({ type, kSmoothing, dPeriod }) {
+  switch (type) {
+    case 'fast': return { kSmoothing: 1, dPeriod }
+    case 'slow': return { kSmoothing: 3, dPeriod: 3 }
+    case 'full': return { kSmoothing, dPeriod }
+    default: throw new Error(`unknown stochastic type: ${type}`)
+  }
+}
+
+/**
+ * Slow and Full Stochastic: https://en.wikipedia.org/wiki/Stochastic_oscillator
+ * %K is the raw Fast Stochastic smoothed by an SMA of `kSmoothing` periods, and %D is the SMA of %K over `dPeriod` periods.
+ * The `type` parameter selects the smoothing:
+ * - 'fast' - %K is the raw Fast Stochastic (`kSmoothing` of 1)
+ * - 'slow' - %K and %D are both smoothed over 3 periods
+ * - 'full' - %K and %D are smoothed by the `kSmoothing` and `dPeriod` parameters
+ */
+module.exports = {
+  name: 'stochasticKd',
+  inputs: ['stochastic'],
+  outputs: ['stochasticK', 'stochasticD'],
+  params: { type: 'slow', kSmoothing: 3, dPeriod: 3 },
+  lookback (params) {
+    const { kSmoothing, dPeriod } = smoothing(params)
+    return (kSmoothing - 1) + (dPeriod - 1)
+  },
+  chart: { id: 'osc', title: 'Oscillators' },
+  aos (ohlcs, params) {
+    const { kSmoothing, dPeriod } = smoothing(params)
+    const kAverage = new Sma(kSmoothing)
+    const dAverage = new Sma(dPeriod)
+    for (let i = 0, length = ohlcs.length; i < length; ++i) {
+      const ohlc = ohlcs[i]
+      ohlc.stochasticK = kAverage.push(ohlc.stochastic)
+      ohlc.stochasticD = dAverage.push(ohlc.stochasticK)
+    }
+  },
+  soa (ohlcSystem, params) {
+    const { kSmoothing, dPeriod } = smoothing(params)
+    const stochastics = ohlcSystem.stochastics
+    const stochasticKs = ohlcSystem.stochasticKs
+    const stochasticDs = ohlcSystem.stochasticDs
+    const kAverage = new Sma(kSmoothing)
+    const dAverage = new Sma(dPeriod)
+    for (let i = 0, length = ohlcSystem.length; i < length; ++i) {
+      stochasticKs[i] = kAverage.push(stochastics[i])
+      stochasticDs[i] = dAverage.push(stochasticKs[i])
+    }
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Rolling Z-Score: https://en.wikipedia.org/wiki/Standard_score
+ * The number of standard deviations (of the sample variance) a source column lies from its average across the window,
+ * NaN while the window has no variance.
+ * @param source the `Ohlc` field name of the source column (e.g. 'close')
+ * @param chart the chart in which the z-score is plotted
+ * @returns the indicator calculating `<source>ZScore`
+ */
+module.exports = function zScore (source, chart) {
+  const output = `${source}ZScore`
+  return {
+    name: output,
+    inputs: [source],
+    outputs: [output],
+    lookback: ({ window }) => window - 1,
+    chart,
+    aos (ohlcs, { window, kernel }) {
+      if (kernel === 'naive') {
+        for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
+          // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
+          let mean = 0.0
+          let meanSq = 0.0
+          let count = 0
+          for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+            const value = ohlcs[i][source]
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          }
+          const stdev = count <= 1 ? 0.0 : Math.sqrt(meanSq / (count - 1))
+          const ohlc = ohlcs[targetIndex]
+          ohlc[output] = stdev === 0 ? NaN : (ohlc[source] - mean) / stdev
+        }
+      } else {
+        // Welford's Online Algorithm, removing the oldest value once the window is full
+        let mean = 0.0
+        let meanSq = 0.0
+        let count = 0
+        for (let targetIndex = 0, length = ohlcs.length; targetIndex < length; ++targetIndex) {
+          const ohlc = ohlcs[targetIndex]
+          const value = ohlc[source]
+          if (count < window) {
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          } else {
+            const oldValue = ohlcs[targetIndex - window][source]
+            const oldMean = mean
+            mean += (value - oldValue) / count
+            meanSq = Math.max(0.0, meanSq + (value - oldValue) * (value - mean + oldValue - oldMean))
+          }
+          const stdev = count <= 1 ? 0.0 : Math.sqrt(meanSq / (count - 1))
+          ohlc[output] = stdev === 0 ? NaN : (value - mean) / stdev
+        }
+      }
+    },
+    soa (ohlcSystem, { window, kernel }) {
+      const values = ohlcSystem[`${source}s`]
+      const zScores = ohlcSystem[`${output}s`]
+      if (kernel === 'naive') {
+        for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++startIndex, ++targetIndex) {
+          // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
+          let mean = 0.0
+          let meanSq = 0.0
+          let count = 0
+          for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
+            const value = values[i]
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          }
+          const stdev = count <= 1 ? 0.0 : Math.sqrt(meanSq / (count - 1))
+          zScores[targetIndex] = stdev === 0 ? NaN : (values[targetIndex] - mean) / stdev
+        }
+      } else {
+        // Welford's Online Algorithm, removing the oldest value once the window is full
+        let mean = 0.0
+        let meanSq = 0.0
+        let count = 0
+        for (let targetIndex = 0, length = ohlcSystem.length; targetIndex < length; ++targetIndex) {
+          const value = values[targetIndex]
+          if (count < window) {
+            const delta = value - mean
+            mean += delta / ++count
+            meanSq += delta * (value - mean)
+          } else {
+            const oldValue = values[targetIndex - window]
+            const oldMean = mean
+            mean += (value - oldValue) / count
+            meanSq = Math.max(0.0, meanSq + (value - oldValue) * (value - mean + oldValue - oldMean))
+          }
+          const stdev = count <= 1 ? 0.0 : Math.sqrt(meanSq / (count - 1))
+          zScores[targetIndex] = stdev === 0 ? NaN : (value - mean) / stdev
+        }
+      }
+    }
+  }
+}
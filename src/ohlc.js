@@ -1,3 +1,7 @@
+const IndicatorRegistry = require('./indicator_registry.js')
+const indicators = require('./indicators/index.js')
+const QuantileUtils = require('./util/quantile_utils.js')
+
 /**
  * Model encapsulating OHLC (Open, High, Low, Close) values used in financial markets such as Stock Markets and Cryptocurrency exchanges.
  * This model demonstrates the Array-of-Structs memory arrangement: https://en.wikipedia.org/wiki/AoS_and_SoA
@@ -7,209 +11,130 @@
  * Several calculations range across a window of n-periods.
  */
 module.exports = class Ohlc {
-  constructor ({ date, open, high, low, close, volume } = {}) {
-    this.date = date
+  /**
+   * @param ohlc the parsed OHLC values
+   * @param registry the indicators whose output fields are initialized
+   */
+  constructor ({ timestamp, line, open, high, low, close, volume } = {}, registry = indicators) {
+    this.timestamp = timestamp // epoch milliseconds
+    this.line = line // the line of the source file, if parsed from one
     this.open = open
     this.high = high
     this.low = low
     this.close = close
     this.volume = volume
 
-    this.hl2 = 0.0 // High-Low Midpoint
-    this.hl2Average = 0.0
-    this.hl2StdevUpper = 0.0 // Bollinger Bands: https://en.wikipedia.org/wiki/Bollinger_Bands
-    this.hl2StdevLower = 0.0
-
-    this.hlc3 = 0.0 // Typical Price: https://en.wikipedia.org/wiki/Typical_price
-    this.hlc3Average = 0.0
-    this.hlc3StdevUpper = 0.0 // Bollinger Bands: https://en.wikipedia.org/wiki/Bollinger_Bands
-    this.hlc3StdevLower = 0.0
-
-    this.ohlc4 = 0.0 // Average of OHLC values
-    this.ohlc4Average = 0.0
-    this.ohlc4StdevUpper = 0.0 // Bollinger Bands: https://en.wikipedia.org/wiki/Bollinger_Bands
-    this.ohlc4StdevLower = 0.0
-
-    this.rsi = 0.0 // Relative Strength Index: https://en.wikipedia.org/wiki/Relative_strength_index
-    this.stochastic = 0.0 // Fast Stochastic: https://en.wikipedia.org/wiki/Stochastic_oscillator
-    this.mfi = 0.0 // Money Flow Index: https://en.wikipedia.org/wiki/Money_flow_index
+    for (const field of registry.outputs()) {
+      this[field] = 0.0
+    }
   }
 
   /**
    * Calculate each Ohlc value in the given array.
    * @param ohlcs array of Ohlc values to calculate
    * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, or 'naive' to re-scan each window
+   * @param params object of indicator parameter overrides keyed by indicator name
+   * @param registry the indicators to calculate, in dependency order
    * @returns object containing the calculated medians
    */
-  static calculateAll (ohlcs, window) {
-    for (let startIndex = -(window - 1), targetIndex = 0, length = ohlcs.length; targetIndex < length; ++startIndex, ++targetIndex) {
-      const clampedStartIndex = Math.max(0, startIndex)
-      ohlcs[targetIndex].calculateHl2()
-      Ohlc.calculateHl2Bands(ohlcs, clampedStartIndex, targetIndex)
-      ohlcs[targetIndex].calculateHlc3()
-      Ohlc.calculateHlc3Bands(ohlcs, clampedStartIndex, targetIndex)
-      ohlcs[targetIndex].calculateOhlc4()
-      Ohlc.calculateOhlc4Bands(ohlcs, clampedStartIndex, targetIndex)
-      Ohlc.calculateRsis(ohlcs, clampedStartIndex, targetIndex)
-      Ohlc.calculateStochastics(ohlcs, clampedStartIndex, targetIndex)
-      Ohlc.calculateMfis(ohlcs, clampedStartIndex, targetIndex)
+  static calculateAll (ohlcs, window, kernel = 'incremental', params = {}, registry = indicators) {
+    if (kernel === 'simd') {
+      throw new Error('the simd kernel calculates an OhlcSystem arena in WebAssembly memory, not an array of Ohlc values')
     }
-    return {
-      close: Ohlc.medianClose(ohlcs),
-      volume: Ohlc.medianVolume(ohlcs),
-      hlc3: Ohlc.medianHlc3(ohlcs),
-      rsi: Ohlc.medianRsi(ohlcs),
-      stochastic: Ohlc.medianStochastic(ohlcs),
-      mfi: Ohlc.medianMfi(ohlcs)
+    for (const indicator of registry.sort()) {
+      indicator.aos(ohlcs, IndicatorRegistry.params(indicator, window, kernel, params))
     }
+    return Ohlc.medians(ohlcs)
   }
 
-  calculateHl2 () {
-    this.hl2 = (this.high + this.low) / 2.0
-  }
-
-  calculateHlc3 () {
-    this.hlc3 = (this.high + this.low + this.close) / 3.0
-  }
-
-  calculateOhlc4 () {
-    this.ohlc4 = (this.open + this.high + this.low + this.close) / 4.0
-  }
-
-  static calculateHl2Bands (ohlcs, startIndex, targetIndex) {
-    // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
-    let average = 0.0
-    let averageSq = 0.0
-    let count = 0
-    for (let i = startIndex; i <= targetIndex; ++i) {
-      const value = ohlcs[i].hl2
-      const delta = value - average
-      average += delta / ++count
-      averageSq += delta * (value - average)
+  /**
+   * Append a candle to an array, or update the still-forming last candle in place, and calculate the indicators of the Ohlc.
+   * @param ohlcs array of Ohlc values
+   * @param candle the `{ timestamp, open, high, low, close, volume }` values of the candle
+   * @param stream the IndicatorStream calculating the indicator fields of the Ohlc, or null to only store the candle
+   * @param update true to replace the last candle rather than append one
+   * @param registry the indicators whose output fields are initialized
+   * @returns the appended or updated Ohlc
+   */
+  static append (ohlcs, candle, stream = null, { update = false, registry = stream ? stream.registry : indicators } = {}) {
+    if (update && ohlcs.length === 0) {
+      throw new Error('there is no candle to update')
     }
-    const variance = count <= 1 ? 0.0 : (averageSq / (count - 1))
-    const stdev = Math.sqrt(variance)
-    const ohlc = ohlcs[targetIndex]
-    ohlc.hl2Average = average
-    ohlc.hl2StdevUpper = average + 2.0 * stdev
-    ohlc.hl2StdevLower = average - 2.0 * stdev
-  }
-
-  static calculateHlc3Bands (ohlcs, startIndex, targetIndex) {
-    // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
-    let average = 0.0
-    let averageSq = 0.0
-    let count = 0
-    for (let i = startIndex; i <= targetIndex; ++i) {
-      const value = ohlcs[i].hlc3
-      const delta = value - average
-      average += delta / ++count
-      averageSq += delta * (value - average)
+    let ohlc
+    if (update) {
+      const { timestamp, open, high, low, close, volume } = candle
+      ohlc = Object.assign(ohlcs[ohlcs.length - 1], { timestamp, open, high, low, close, volume })
+    } else {
+      ohlc = new Ohlc(candle, registry)
+      ohlcs.push(ohlc)
     }
-    const variance = count <= 1 ? 0.0 : (averageSq / (count - 1))
-    const stdev = Math.sqrt(variance)
-    const ohlc = ohlcs[targetIndex]
-    ohlc.hlc3Average = average
-    ohlc.hlc3StdevUpper = average + 2.0 * stdev
-    ohlc.hlc3StdevLower = average - 2.0 * stdev
+    if (stream) {
+      stream.aos(ohlcs, ohlcs.length - 1)
+    }
+    return ohlc
   }
 
-  static calculateOhlc4Bands (ohlcs, startIndex, targetIndex) {
-    // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
-    let average = 0.0
-    let averageSq = 0.0
-    let count = 0
-    for (let i = startIndex; i <= targetIndex; ++i) {
-      const value = ohlcs[i].ohlc4
-      const delta = value - average
-      average += delta / ++count
-      averageSq += delta * (value - average)
+  /**
+   * @param ohlcs array of calculated Ohlc values
+   * @param method 'sort', 'select' or 'p2' (see `QuantileUtils`)
+   * @returns object containing the medians of the close, volume, HLC/3, RSI, Stochastic and MFI
+   */
+  static medians (ohlcs, method = 'select') {
+    return {
+      close: Ohlc.medianClose(ohlcs, method),
+      volume: Ohlc.medianVolume(ohlcs, method),
+      hlc3: Ohlc.medianHlc3(ohlcs, method),
+      rsi: Ohlc.medianRsi(ohlcs, method),
+      stochastic: Ohlc.medianStochastic(ohlcs, method),
+      mfi: Ohlc.medianMfi(ohlcs, method)
     }
-    const variance = count <= 1 ? 0.0 : (averageSq / (count - 1))
-    const stdev = Math.sqrt(variance)
-    const ohlc = ohlcs[targetIndex]
-    ohlc.ohlc4Average = average
-    ohlc.ohlc4StdevUpper = average + 2.0 * stdev
-    ohlc.ohlc4StdevLower = average - 2.0 * stdev
   }
 
-  static calculateRsis (ohlcs, startIndex, targetIndex) {
-    const periods = targetIndex - startIndex + 1
-    let upEma = 0.0; let downEma = 0.0
-    for (let i = startIndex + 1; i <= targetIndex; ++i) {
-      const delta = ohlcs[i].close - ohlcs[i - 1].close
-      let up = 0.0; let down = 0.0
-      if (delta > 1e-5) {
-        up = delta
-      } else if (delta < 1e-5) {
-        down = -delta
-      }
-      upEma = (upEma * (periods - 1) + up) / periods
-      downEma = (downEma * (periods - 1) + down) / periods
-    }
-    const rs = downEma === 0.0 ? 0.0 : (upEma / downEma)
-    ohlcs[targetIndex].rsi = 100.0 - (100.0 / (1.0 + rs))
+  static medianClose (ohlcs, method = 'select') {
+    return Ohlc.median(ohlcs, 'close', method)
   }
 
-  static calculateStochastics (ohlcs, startIndex, targetIndex) {
-    let high = ohlcs[targetIndex].high
-    let low = ohlcs[targetIndex].low
-    for (let i = startIndex; i < targetIndex; ++i) {
-      high = Math.max(high, ohlcs[i].high)
-      low = Math.min(low, ohlcs[i].low)
-    }
-    ohlcs[targetIndex].stochastic = high === low ? 0.0 : (100.0 * ((ohlcs[targetIndex].close - low) / (high - low)))
+  static medianVolume (ohlcs, method = 'select') {
+    return Ohlc.median(ohlcs, 'volume', method)
   }
 
-  static calculateMfis (ohlcs, startIndex, targetIndex) {
-    let positive = 0.0; let negative = 0.0
-    for (let i = startIndex + 1; i <= targetIndex; ++i) {
-      const currentMoneyFlow = ohlcs[i].hlc3 * ohlcs[i].volume
-      const prevMoneyFlow = ohlcs[i - 1].hlc3 * ohlcs[i - 1].volume
-      const delta = currentMoneyFlow - prevMoneyFlow
-      if (delta > 1e-5) {
-        positive += currentMoneyFlow
-      } else if (delta < 1e-5) {
-        negative += currentMoneyFlow
-      }
-    }
-    const moneyFlow = negative === 0.0 ? 0.0 : (positive / negative)
-    ohlcs[targetIndex].mfi = 100.0 - (100.0 / (1.0 + moneyFlow))
+  static medianHlc3 (ohlcs, method = 'select') {
+    return Ohlc.median(ohlcs, 'hlc3', method)
   }
 
-  static medianClose (ohlcs) {
-    const shallowCopy = Array.from(ohlcs)
-    shallowCopy.sort((a, b) => a.close - b.close)
-    return shallowCopy[Math.trunc(shallowCopy.length / 2)].close
+  static medianRsi (ohlcs, method = 'select') {
+    return Ohlc.median(ohlcs, 'rsi', method)
   }
 
-  static medianVolume (ohlcs) {
-    const shallowCopy = Array.from(ohlcs)
-    shallowCopy.sort((a, b) => a.volume - b.volume)
-    return shallowCopy[Math.trunc(shallowCopy.length / 2)].volume
+  static medianStochastic (ohlcs, method = 'select') {
+    return Ohlc.median(ohlcs, 'stochastic', method)
   }
 
-  static medianHlc3 (ohlcs) {
-    const shallowCopy = Array.from(ohlcs)
-    shallowCopy.sort((a, b) => a.hlc3 - b.hlc3)
-    return shallowCopy[Math.trunc(shallowCopy.length / 2)].hlc3
+  static medianMfi (ohlcs, method = 'select') {
+    return Ohlc.median(ohlcs, 'mfi', method)
   }
 
-  static medianRsi (ohlcs) {
-    const shallowCopy = Array.from(ohlcs)
-    shallowCopy.sort((a, b) => a.rsi - b.rsi)
-    return shallowCopy[Math.trunc(shallowCopy.length / 2)].rsi
+  static median (ohlcs, field, method = 'select') {
+    return Ohlc.quantile(ohlcs, field, 0.5, method)
   }
 
-  static medianStochastic (ohlcs) {
-    const shallowCopy = Array.from(ohlcs)
-    shallowCopy.sort((a, b) => a.stochastic - b.stochastic)
-    return shallowCopy[Math.trunc(shallowCopy.length / 2)].stochastic
+  static quantile (ohlcs, field, q, method = 'select') {
+    return Ohlc.quantiles(ohlcs, field, [q], method)[0]
   }
 
-  static medianMfi (ohlcs) {
-    const shallowCopy = Array.from(ohlcs)
-    shallowCopy.sort((a, b) => a.mfi - b.mfi)
-    return shallowCopy[Math.trunc(shallowCopy.length / 2)].mfi
+  /**
+   * @param ohlcs array of Ohlc values
+   * @param field the field of each Ohlc
+   * @param qs the quantiles, from 0 to 1 (e.g. `[0.25, 0.5, 0.75]`)
+   * @param method 'sort', 'select' or 'p2' (see `QuantileUtils`)
+   * @returns array of the quantiles of the field
+   */
+  static quantiles (ohlcs, field, qs, method = 'select') {
+    const values = new Float64Array(ohlcs.length)
+    for (let i = 0, length = ohlcs.length; i < length; ++i) {
+      values[i] = ohlcs[i][field]
+    }
+    return QuantileUtils.quantiles(values, values.length, qs, method)
   }
 }
@@ -1,3 +1,10 @@
+/* global WebAssembly */
+const IndicatorRegistry = require('./indicator_registry.js')
+const indicators = require('./indicators/index.js')
+const QuantileUtils = require('./util/quantile_utils.js')
+
+const WASM_PAGE_SIZE = 65536
+
 /**
  * System encapsulating OHLC (Open, High, Low, Close) values used in financial markets such as Stock Markets and Cryptocurrency exchanges.
  * This representation demonstrates Struct-of-Arrays memory arrangement: https://en.wikipedia.org/wiki/AoS_and_SoA
@@ -7,258 +14,215 @@
  * Several calculations range across a window of n-periods.
  */
 module.exports = class OhlcSystem {
-  constructor (capacity) {
+  /**
+   * @param capacity the maximum number of OHLCs in the system
+   * @param registry the indicators whose output components are allocated in the arena
+   * @param shared true to allocate the arena in a SharedArrayBuffer, so worker threads can calculate components in place
+   * @param wasm true to allocate the arena in WebAssembly memory, so the 'simd' kernel can calculate components in place
+   * @param buffer an existing arena to map the components onto (e.g. the SharedArrayBuffer of a system in another thread)
+   */
+  constructor (capacity, registry = indicators, { shared = false, wasm = false, buffer = undefined } = {}) {
     this.length = 0
+    this.capacity = capacity
+    this.registry = registry
 
     // use a Memory Arena to maximize memory locality:
     // https://en.wikipedia.org/wiki/Region-based_memory_management
     // For more general problems, this becomes the limit for our batch size,
-    // and we process our calculations in batches.
-    const buffer = new ArrayBuffer(20 * capacity * Float64Array.BYTES_PER_ELEMENT)
+    // and we process our calculations in batches (see `BatchUtils`).
+    // The arena holds the parsed timestamp and OHLCV components followed by the output components of each indicator.
+    const fields = IndicatorRegistry.BASE_COLUMNS.concat(registry.outputs())
+    const byteLength = fields.length * capacity * Float64Array.BYTES_PER_ELEMENT
+    if (buffer === undefined && wasm) {
+      this.memory = new WebAssembly.Memory({ initial: Math.ceil(byteLength / WASM_PAGE_SIZE) })
+      buffer = this.memory.buffer
+    } else if (buffer === undefined) {
+      buffer = shared ? new SharedArrayBuffer(byteLength) : new ArrayBuffer(byteLength)
+    } else if (buffer.byteLength !== byteLength) {
+      throw new Error(`arena is invalid: expected ${byteLength} bytes for ${fields.length} components, found ${buffer.byteLength}`)
+    }
+    this.fields = fields
+    this.buffer = buffer
     function mapTo (i) {
       return new Float64Array(buffer, i * capacity * Float64Array.BYTES_PER_ELEMENT, capacity)
     }
-    this.opens = mapTo(0)
-    this.highs = mapTo(1)
-    this.lows = mapTo(2)
-    this.closes = mapTo(3)
-    this.volumes = mapTo(4)
-
-    this.hl2s = mapTo(5) // High-Low Midpoint
-    this.hl2Averages = mapTo(6)
-    this.hl2StdevUppers = mapTo(7) // Bollinger Bands: https://en.wikipedia.org/wiki/Bollinger_Bands
-    this.hl2StdevLowers = mapTo(8)
-
-    this.hlc3s = mapTo(9) // Typical Price: https://en.wikipedia.org/wiki/Typical_price
-    this.hlc3Averages = mapTo(10)
-    this.hlc3StdevUppers = mapTo(11) // Bollinger Bands: https://en.wikipedia.org/wiki/Bollinger_Bands
-    this.hlc3StdevLowers = mapTo(12)
+    fields.forEach((field, i) => {
+      this[IndicatorRegistry.componentName(field)] = mapTo(i)
+    })
 
-    this.ohlc4s = mapTo(13) // Average of OHLC values
-    this.ohlc4Averages = mapTo(14)
-    this.ohlc4StdevUppers = mapTo(15) // Bollinger Bands: https://en.wikipedia.org/wiki/Bollinger_Bands
-    this.ohlc4StdevLowers = mapTo(16)
-
-    this.rsis = mapTo(17) // Relative Strength Index: https://en.wikipedia.org/wiki/Relative_strength_index
-    this.stochastics = mapTo(18) // Fast Stochastic: https://en.wikipedia.org/wiki/Stochastic_oscillator
-    this.mfis = mapTo(19) // Money Flow Index: https://en.wikipedia.org/wiki/Money_flow_index
+    this.lines = new Int32Array(capacity) // the lines of the source file, or 0 if not parsed from one
+  }
 
-    this.dates = new Array(capacity)
+  /**
+   * @returns copy of the system with its arena allocated in a SharedArrayBuffer
+   */
+  toShared () {
+    return this.copy({ shared: true })
   }
 
   /**
-   * Calculate each Ohlc system component.
-   * @param window the number of periods for window-based calculations
-   * @returns object containing the calculated medians
+   * @returns copy of the system with its arena allocated in WebAssembly memory
    */
-  calculateAll (window) {
-    this.calculateHl2s(window)
-    this.calculateHl2Bands(window)
-    this.calculateHlc3s(window)
-    this.calculateHlc3Bands(window)
-    this.calculateOhlc4s(window)
-    this.calculateOhlc4Bands(window)
-    this.calculateRsis(window)
-    this.calculateStochastics(window)
-    this.calculateMfis(window)
-    return {
-      close: this.medianClose(),
-      volume: this.medianVolume(),
-      hlc3: this.medianHlc3(),
-      rsi: this.medianRsi(),
-      stochastic: this.medianStochastic(),
-      mfi: this.medianMfi()
-    }
+  toWasm () {
+    return this.copy({ wasm: true })
   }
 
-  calculateHl2s () {
-    const hl2s = this.hl2s
-    const highs = this.highs
-    const lows = this.lows
-    for (let i = 0, length = this.length; i < length; ++i) {
-      hl2s[i] = (highs[i] + lows[i]) / 2.0
+  /**
+   * Append a candle, or update the still-forming last candle in place, and calculate the indicators of the row.
+   * The arena is doubled when it is full.
+   * @param candle the `{ timestamp, open, high, low, close, volume }` values of the candle
+   * @param stream the IndicatorStream calculating the indicator components of the row, or null to only store the candle
+   * @param update true to replace the last candle rather than append one
+   * @returns the index of the row
+   */
+  append ({ timestamp, open, high, low, close, volume }, stream = null, { update = false } = {}) {
+    if (update && this.length === 0) {
+      throw new Error('there is no candle to update')
+    }
+    if (!update && this.length === this.capacity) {
+      this.grow(Math.max(1, this.capacity * 2))
     }
+    const i = update ? this.length - 1 : this.length++
+    this.timestamps[i] = timestamp
+    this.opens[i] = open
+    this.highs[i] = high
+    this.lows[i] = low
+    this.closes[i] = close
+    this.volumes[i] = volume
+    this.lines[i] = 0
+    if (stream) {
+      stream.soa(this, i)
+    }
+    return i
   }
 
-  calculateHlc3s () {
-    const hlc3s = this.hlc3s
-    const highs = this.highs
-    const lows = this.lows
-    const closes = this.closes
-    for (let i = 0, length = this.length; i < length; ++i) {
-      hlc3s[i] = (highs[i] + lows[i] + closes[i]) / 3.0
+  /**
+   * Reallocate the arena with a greater capacity, in the same kind of memory, keeping the rows.
+   * Any views of the previous components (e.g. `ohlcSystem.closes`) must be read again.
+   * @param capacity the new capacity
+   */
+  grow (capacity) {
+    const ohlcSystem = new OhlcSystem(capacity, this.registry, { shared: this.buffer instanceof SharedArrayBuffer, wasm: !!this.memory })
+    for (const field of this.fields) {
+      const component = IndicatorRegistry.componentName(field)
+      ohlcSystem[component].set(this[component].subarray(0, this.length))
+      this[component] = ohlcSystem[component]
     }
+    ohlcSystem.lines.set(this.lines.subarray(0, this.length))
+    this.lines = ohlcSystem.lines
+    this.buffer = ohlcSystem.buffer
+    this.memory = ohlcSystem.memory
+    this.capacity = capacity
   }
 
-  calculateOhlc4s () {
-    const ohlc4s = this.ohlc4s
-    const opens = this.opens
-    const highs = this.highs
-    const lows = this.lows
-    const closes = this.closes
-    for (let i = 0, length = this.length; i < length; ++i) {
-      ohlc4s[i] = (opens[i] + highs[i] + lows[i] + closes[i]) / 4.0
-    }
+  copy (options) {
+    const ohlcSystem = new OhlcSystem(this.capacity, this.registry, options)
+    const byteLength = this.fields.length * this.capacity * Float64Array.BYTES_PER_ELEMENT // WebAssembly memory is padded to whole pages
+    new Uint8Array(ohlcSystem.buffer, 0, byteLength).set(new Uint8Array(this.buffer, 0, byteLength))
+    ohlcSystem.lines.set(this.lines)
+    ohlcSystem.length = this.length
+    return ohlcSystem
   }
 
-  calculateHl2Bands (window) {
-    const hl2s = this.hl2s
-    const hl2Averages = this.hl2Averages
-    const hl2StdevUppers = this.hl2StdevUppers
-    const hl2StdevLowers = this.hl2StdevLowers
-    for (let startIndex = -(window - 1), targetIndex = 0, length = this.length; targetIndex < length; ++startIndex, ++targetIndex) {
-      // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
-      let average = 0.0
-      let averageSq = 0.0
-      let count = 0
-      for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
-        const value = hl2s[i]
-        const delta = value - average
-        average += delta / ++count
-        averageSq += delta * (value - average)
-      }
-      const variance = count <= 1 ? 0.0 : (averageSq / (count - 1))
-      const stdev = Math.sqrt(variance)
-      hl2Averages[targetIndex] = average
-      hl2StdevUppers[targetIndex] = average + 2.0 * stdev
-      hl2StdevLowers[targetIndex] = average - 2.0 * stdev
-    }
+  /**
+   * Calculate each Ohlc system component.
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, 'naive' to re-scan each window,
+   * or 'simd' for WebAssembly SIMD kernels where available (requires the arena in WebAssembly memory, see `toWasm`)
+   * @param params object of indicator parameter overrides keyed by indicator name
+   * @returns object containing the calculated medians
+   */
+  calculateAll (window, kernel = 'incremental', params = {}) {
+    this.calculate(window, kernel, params)
+    return this.medians()
   }
 
-  calculateHlc3Bands (window) {
-    const hlc3s = this.hlc3s
-    const hlc3Averages = this.hlc3Averages
-    const hlc3StdevUppers = this.hlc3StdevUppers
-    const hlc3StdevLowers = this.hlc3StdevLowers
-    for (let startIndex = -(window - 1), targetIndex = 0, length = this.length; targetIndex < length; ++startIndex, ++targetIndex) {
-      // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
-      let average = 0.0
-      let averageSq = 0.0
-      let count = 0
-      for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
-        const value = hlc3s[i]
-        const delta = value - average
-        average += delta / ++count
-        averageSq += delta * (value - average)
+  /**
+   * Calculate each indicator component, without the medians.
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, 'naive' to re-scan each window,
+   * or 'simd' for WebAssembly SIMD kernels where available (requires the arena in WebAssembly memory, see `toWasm`)
+   * @param params object of indicator parameter overrides keyed by indicator name
+   */
+  calculate (window, kernel = 'incremental', params = {}) {
+    for (const indicator of this.registry.sort()) {
+      if (kernel === 'simd' && indicator.simd) {
+        indicator.simd(this, IndicatorRegistry.params(indicator, window, kernel, params))
+      } else {
+        // indicators without a SIMD kernel fall back to their incremental kernel
+        indicator.soa(this, IndicatorRegistry.params(indicator, window, kernel === 'simd' ? 'incremental' : kernel, params))
       }
-      const variance = count <= 1 ? 0.0 : (averageSq / (count - 1))
-      const stdev = Math.sqrt(variance)
-      hlc3Averages[targetIndex] = average
-      hlc3StdevUppers[targetIndex] = average + 2.0 * stdev
-      hlc3StdevLowers[targetIndex] = average - 2.0 * stdev
     }
   }
 
-  calculateOhlc4Bands (window) {
-    const ohlc4s = this.ohlc4s
-    const ohlc4Averages = this.ohlc4Averages
-    const ohlc4StdevUppers = this.ohlc4StdevUppers
-    const ohlc4StdevLowers = this.ohlc4StdevLowers
-    for (let startIndex = -(window - 1), targetIndex = 0, length = this.length; targetIndex < length; ++startIndex, ++targetIndex) {
-      // Welford's Online Algorithm (https://en.wikipedia.org/wiki/Algorithms_for_calculating_variance#Welford's_online_algorithm)
-      let average = 0.0
-      let averageSq = 0.0
-      let count = 0
-      for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
-        const value = ohlc4s[i]
-        const delta = value - average
-        average += delta / ++count
-        averageSq += delta * (value - average)
-      }
-      const variance = count <= 1 ? 0.0 : (averageSq / (count - 1))
-      const stdev = Math.sqrt(variance)
-      ohlc4Averages[targetIndex] = average
-      ohlc4StdevUppers[targetIndex] = average + 2.0 * stdev
-      ohlc4StdevLowers[targetIndex] = average - 2.0 * stdev
-    }
+  /**
+   * Calculate each Ohlc system component on worker threads, dispatching the independent indicators of each dependency level
+   * to the pool; the workers write the components in place in the shared arena.
+   * @param pool the WorkerPool attached to the arena (see `toShared`)
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, or 'naive' to re-scan each window
+   * @param params object of indicator parameter overrides keyed by indicator name
+   * @returns object containing the calculated medians
+   */
+  async calculateAllInParallel (pool, window, kernel = 'incremental', params = {}) {
+    await pool.calculate(this, window, kernel, params)
+    return this.medians()
   }
 
-  calculateRsis (window) {
-    const closes = this.closes
-    const rsis = this.rsis
-    for (let startIndex = -(window - 1), targetIndex = 0, length = this.length; targetIndex < length; ++startIndex, ++targetIndex) {
-      const periods = targetIndex - startIndex + 1
-      let upEma = 0.0; let downEma = 0.0
-      for (let i = Math.max(0, startIndex) + 1; i <= targetIndex; ++i) {
-        const delta = closes[i] - closes[i - 1]
-        let up = 0.0; let down = 0.0
-        if (delta > 1e-5) {
-          up = delta
-        } else if (delta < 1e-5) {
-          down = -delta
-        }
-        upEma = (upEma * (periods - 1) + up) / periods
-        downEma = (downEma * (periods - 1) + down) / periods
-      }
-      const rs = downEma === 0.0 ? 0.0 : (upEma / downEma)
-      rsis[targetIndex] = 100.0 - (100.0 / (1.0 + rs))
+  /**
+   * @param method 'sort', 'select' or 'p2' (see `QuantileUtils`)
+   * @returns object containing the medians of the close, volume, HLC/3, RSI, Stochastic and MFI
+   */
+  medians (method = 'select') {
+    return {
+      close: this.medianClose(method),
+      volume: this.medianVolume(method),
+      hlc3: this.medianHlc3(method),
+      rsi: this.medianRsi(method),
+      stochastic: this.medianStochastic(method),
+      mfi: this.medianMfi(method)
     }
   }
 
-  calculateStochastics (window) {
-    const highs = this.highs
-    const lows = this.lows
-    const closes = this.closes
-    const stochastics = this.stochastics
-    for (let startIndex = -(window - 1), targetIndex = 0, length = this.length; targetIndex < length; ++startIndex, ++targetIndex) {
-      let high = highs[targetIndex]
-      let low = lows[targetIndex]
-      for (let i = Math.max(0, startIndex); i <= targetIndex; ++i) {
-        high = Math.max(high, highs[i])
-        low = Math.min(low, lows[i])
-      }
-      stochastics[targetIndex] = high === low ? 0.0 : (100.0 * ((closes[targetIndex] - low) / (high - low)))
-    }
+  medianClose (method = 'select') {
+    return this.median(this.closes, method)
   }
 
-  calculateMfis (window) {
-    const hlc3s = this.hlc3s
-    const volumes = this.volumes
-    const mfis = this.mfis
-    for (let startIndex = -(window - 1), targetIndex = 0, length = this.length; targetIndex < length; ++startIndex, ++targetIndex) {
-      let positive = 0.0; let negative = 0.0
-      for (let i = Math.max(0, startIndex) + 1; i <= targetIndex; ++i) {
-        const currentMoneyFlow = hlc3s[i] * volumes[i]
-        const prevMoneyFlow = hlc3s[i - 1] * volumes[i - 1]
-        const delta = currentMoneyFlow - prevMoneyFlow
-        if (delta > 1e-5) {
-          positive += currentMoneyFlow
-        } else if (delta < 1e-5) {
-          negative += currentMoneyFlow
-        }
-      }
-      const moneyFlow = negative === 0.0 ? 0.0 : (positive / negative)
-      mfis[targetIndex] = 100.0 - (100.0 / (1.0 + moneyFlow))
-    }
+  medianVolume (method = 'select') {
+    return this.median(this.volumes, method)
   }
 
-  medianClose () {
-    return this.median(this.closes)
+  medianHlc3 (method = 'select') {
+    return this.median(this.hlc3s, method)
   }
 
-  medianVolume () {
-    return this.median(this.volumes)
+  medianRsi (method = 'select') {
+    return this.median(this.rsis, method)
   }
 
-  medianHlc3 () {
-    return this.median(this.hlc3s)
+  medianStochastic (method = 'select') {
+    return this.median(this.stochastics, method)
   }
 
-  medianRsi () {
-    return this.median(this.rsis)
+  medianMfi (method = 'select') {
+    return this.median(this.mfis, method)
   }
 
-  medianStochastic () {
-    return this.median(this.stochastics)
+  median (values, method = 'select') {
+    return this.quantile(values, 0.5, method)
   }
 
-  medianMfi () {
-    return this.median(this.mfis)
+  quantile (values, q, method = 'select') {
+    return this.quantiles(values, [q], method)[0]
   }
 
-  median (values) {
-    const shallowCopy = values.slice(0, this.length)
-    shallowCopy.sort((a, b) => a - b)
-    return shallowCopy[Math.trunc(this.length / 2)]
+  /**
+   * @param values a component of the system
+   * @param qs the quantiles, from 0 to 1 (e.g. `[0.25, 0.5, 0.75]`)
+   * @param method 'sort', 'select' or 'p2' (see `QuantileUtils`)
+   * @returns array of the quantiles of the component
+   */
+  quantiles (values, qs, method = 'select') {
+    return QuantileUtils.quantiles(values, this.length, qs, method)
   }
 }
@@ -0,0 +1,258 @@
+const IndicatorRegistry = require('./indicator_registry.js')
+
+// numbers, identifiers, then operators (the longest first)
+const TOKEN = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(&&|\|\||<=|>=|==|!=|[<>!+\-*/(),]))/iy
+
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!=']
+
+// the operators, applied to the values of a row; comparisons with NaN are false, and booleans are 1 or 0
+const OPERATORS = {
+  '||': (a, b) => a || b ? 1 : 0,
+  '&&': (a, b) => a && b ? 1 : 0,
+  '<': (a, b) => a < b ? 1 : 0,
+  '<=': (a, b) => a <= b ? 1 : 0,
+  '>': (a, b) => a > b ? 1 : 0,
+  '>=': (a, b) => a >= b ? 1 : 0,
+  '==': (a, b) => a === b ? 1 : 0,
+  '!=': (a, b) => a < b || a > b ? 1 : 0,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b
+}
+
+// the functions, applied to whole columns
+const FUNCTIONS = {
+  crossesAbove: { arity: 2, apply: (out, [a, b]) => crosses(out, a, b, 1) },
+  crossesBelow: { arity: 2, apply: (out, [a, b]) => crosses(out, a, b, -1) },
+  previous: {
+    arity: 1,
+    apply: (out, [a]) => {
+      for (let i = 0; i < out.length; ++i) {
+        out[i] = i > 0 ? at(a, i - 1) : NaN
+      }
+    }
+  }
+}
+
+function at (value, i) {
+  return typeof value === 'number' ? value : value[i]
+}
+
+function crosses (out, a, b, direction) {
+  for (let i = 0; i < out.length; ++i) {
+    out[i] = i > 0 &&
+      direction * (at(a, i) - at(b, i)) > 0 &&
+      direction * (at(a, i - 1) - at(b, i - 1)) <= 0
+      ? 1
+      : 0
+  }
+}
+
+// recursive descent parser of a rule into a tree of nodes
+class Parser {
+  constructor (source) {
+    this.source = source
+    this.tokens = Parser.tokenize(source)
+    this.position = 0
+  }
+
+  parse () {
+    const node = this.parseOr()
+    if (this.position < this.tokens.length) {
+      this.fail(`unexpected '${this.tokens[this.position].text}'`)
+    }
+    return node
+  }
+
+  static tokenize (source) {
+    const tokens = []
+    TOKEN.lastIndex = 0
+    while (TOKEN.lastIndex < source.length) {
+      const index = TOKEN.lastIndex
+      const match = TOKEN.exec(source)
+      if (!match) {
+        if (/^\s*$/.test(source.slice(index))) {
+          break
+        }
+        throw new Error(`rule is invalid: ${source}: unexpected character at ${index}`)
+      }
+      const [, number, identifier, operator] = match
+      tokens.push(number !== undefined
+        ? { type: 'number', text: number, value: +number }
+        : identifier !== undefined
+          ? { type: 'identifier', text: identifier }
+          : { type: 'operator', text: operator })
+    }
+    return tokens
+  }
+
+  accept (operator) {
+    const token = this.tokens[this.position]
+    if (token && token.type === 'operator' && token.text === operator) {
+      ++this.position
+      return true
+    }
+    return false
+  }
+
+  expect (operator) {
+    if (!this.accept(operator)) {
+      const token = this.tokens[this.position]
+      this.fail(`expected '${operator}' but found ${token ? `'${token.text}'` : 'the end'}`)
+    }
+  }
+
+  fail (message) {
+    throw new Error(`rule is invalid: ${this.source}: ${message}`)
+  }
+
+  parseOr () {
+    let node = this.parseAnd()
+    while (this.accept('||')) {
+      node = { type: '||', left: node, right: this.parseAnd() }
+    }
+    return node
+  }
+
+  parseAnd () {
+    let node = this.parseNot()
+    while (this.accept('&&')) {
+      node = { type: '&&', left: node, right: this.parseNot() }
+    }
+    return node
+  }
+
+  parseNot () {
+    return this.accept('!') ? { type: 'not', operand: this.parseNot() } : this.parseComparison()
+  }
+
+  parseComparison () {
+    const node = this.parseSum()
+    const operator = COMPARISONS.find(comparison => this.accept(comparison))
+    return operator ? { type: operator, left: node, right: this.parseSum() } : node
+  }
+
+  parseSum () {
+    let node = this.parseProduct()
+    for (let operator; (operator = ['+', '-'].find(o => this.accept(o)));) {
+      node = { type: operator, left: node, right: this.parseProduct() }
+    }
+    return node
+  }
+
+  parseProduct () {
+    let node = this.parseUnary()
+    for (let operator; (operator = ['*', '/'].find(o => this.accept(o)));) {
+      node = { type: operator, left: node, right: this.parseUnary() }
+    }
+    return node
+  }
+
+  parseUnary () {
+    return this.accept('-') ? { type: 'negate', operand: this.parseUnary() } : this.parsePrimary()
+  }
+
+  parsePrimary () {
+    const token = this.tokens[this.position++]
+    if (!token) {
+      this.fail('unexpected end')
+    } else if (token.type === 'number') {
+      return { type: 'number', value: token.value }
+    } else if (token.type === 'identifier') {
+      if (!this.accept('(')) {
+        return { type: 'component', name: token.text }
+      }
+      const func = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.text) ? FUNCTIONS[token.text] : undefined
+      if (!func) {
+        this.fail(`function is unknown: ${token.text} (${Object.keys(FUNCTIONS).join(', ')})`)
+      }
+      const args = [this.parseOr()]
+      while (this.accept(',')) {
+        args.push(this.parseOr())
+      }
+      this.expect(')')
+      if (args.length !== func.arity) {
+        this.fail(`${token.text} takes ${func.arity} arguments, found ${args.length}`)
+      }
+      return { type: 'call', name: token.text, args }
+    } else if (token.text === '(') {
+      const node = this.parseOr()
+      this.expect(')')
+      return node
+    }
+    this.fail(`unexpected '${token.text}'`)
+  }
+}
+
+/**
+ * Rule over the components of an OhlcSystem, e.g. `rsis < 30 && closes < hlc3StdevLowers`, evaluated over whole columns
+ * (vectorized) rather than row by row, to the rows at which it holds.
+ * The grammar is a subset of JavaScript expressions, with the same precedence:
+ * - numbers, and the component names of the OhlcSystem (e.g. `closes`, `rsis`, `macdHistograms`)
+ * - arithmetic `+ - * /`, comparisons `< <= > >= == !=`, logic `&& || !` and parentheses
+ * - `crossesAbove(a, b)` and `crossesBelow(a, b)` - a crossed b between the row before and the row
+ * - `previous(a)` - the value of a at the row before (NaN at the first row)
+ * Comparisons with NaN (e.g. the warm-up rows of an indicator) are false.
+ */
+module.exports = class Rule {
+  /**
+   * @param source the rule, e.g. `crossesAbove(macds, macdSignals) && adxs > 25`
+   */
+  constructor (source) {
+    this.source = source
+    this.node = new Parser(source).parse()
+  }
+
+  /**
+   * @param ohlcSystem the calculated OhlcSystem
+   * @returns array of 1 for each row at which the rule holds, or 0
+   */
+  evaluate (ohlcSystem) {
+    const length = ohlcSystem.length
+    const components = new Set(ohlcSystem.fields.map(IndicatorRegistry.componentName))
+    const evaluate = node => {
+      switch (node.type) {
+        case 'number':
+          return node.value
+        case 'component':
+          if (!components.has(node.name)) {
+            throw new Error(`rule is invalid: ${this.source}: component is unknown: ${node.name}`)
+          }
+          return ohlcSystem[node.name].subarray(0, length)
+        case 'call': {
+          const out = new Float64Array(length)
+          FUNCTIONS[node.name].apply(out, node.args.map(evaluate))
+          return out
+        }
+        case 'not': {
+          const operand = evaluate(node.operand)
+          return typeof operand === 'number' ? (operand ? 0 : 1) : operand.map(value => value ? 0 : 1)
+        }
+        case 'negate': {
+          const operand = evaluate(node.operand)
+          return typeof operand === 'number' ? -operand : operand.map(value => -value)
+        }
+        default: { // binary
+          const operator = OPERATORS[node.type]
+          const left = evaluate(node.left)
+          const right = evaluate(node.right)
+          if (typeof left === 'number' && typeof right === 'number') {
+            return operator(left, right)
+          }
+          const out = new Float64Array(length)
+          for (let i = 0; i < length; ++i) {
+            out[i] = operator(at(left, i), at(right, i))
+          }
+          return out
+        }
+      }
+    }
+    const result = evaluate(this.node)
+    const signals = new Uint8Array(length)
+    for (let i = 0; i < length; ++i) {
+      signals[i] = at(result, i) ? 1 : 0
+    }
+    return signals
+  }
+}
@@ -22,16 +22,13 @@ module.exports = class AlgUtils {
         sampleArray[s] = array[i]
       }
     }
-    if (sampleArray.length > tail) {
-      sampleArray = sampleArray.slice(sampleArray.length - tail, sampleArray.length)
-    }
-    return sampleArray
+    return AlgUtils.tail(sampleArray, tail)
   }
 
   static sampleFloat64Array (array, length, samples, tail = 0) {
     let sampleArray
     if (length === 0 || samples === 0) {
-      sampleArray = Float64Array(0)
+      sampleArray = new Float64Array(0)
     } else if (length <= samples) {
       sampleArray = array.slice(0, length)
     } else {
@@ -42,9 +39,122 @@ module.exports = class AlgUtils {
         sampleArray[s] = array[i]
       }
     }
-    if (sampleArray.length > tail) {
-      sampleArray = sampleArray.slice(sampleArray.length - tail, sampleArray.length)
+    return Array.from(AlgUtils.tail(sampleArray, tail)) // convert the Float64Array to a Number Array
+  }
+
+  /**
+   * @returns the indices sampled by `sampleArray` and `sampleFloat64Array`: every n-th index, always including the last
+   */
+  static sampleIndices (length, samples) {
+    if (samples <= 0) {
+      return []
+    } else if (length <= samples) {
+      return Array.from({ length }, (_, i) => i)
+    }
+    const n = Math.trunc(length / samples)
+    const startIndex = (length - 1) - n * (samples - 1)
+    return Array.from({ length: samples }, (_, s) => startIndex + s * n)
+  }
+
+  /**
+   * Largest-Triangle-Three-Buckets downsampling (Steinarsson, 2013: https://skemman.is/handle/1946/15343):
+   * keeps the first and last values, and from each of the buckets between them the value forming the largest triangle
+   * with the value kept from the bucket before and the average of the bucket after, preserving the visual shape of a line.
+   * NaN values (e.g. the warm-up of an indicator) are skipped in the averages and only kept when a bucket has nothing else.
+   * @param values the values, at evenly spaced x
+   * @param length the number of values
+   * @param samples the number of values to keep
+   * @returns the ascending indices of the values kept
+   */
+  static lttbIndices (values, length, samples) {
+    if (length <= samples || samples < 3) {
+      return AlgUtils.sampleIndices(length, samples)
+    }
+    const indices = [0]
+    const every = (length - 2) / (samples - 2)
+    let a = 0
+    for (let bucket = 0; bucket < samples - 2; ++bucket) {
+      // the average of the next bucket (the last value, for the last bucket)
+      const nextStart = Math.floor((bucket + 1) * every) + 1
+      const nextEnd = Math.min(Math.floor((bucket + 2) * every) + 1, length)
+      let averageX = 0
+      let averageY = 0
+      let count = 0
+      for (let i = nextStart; i < nextEnd; ++i) {
+        if (!Number.isNaN(values[i])) {
+          averageX += i
+          averageY += values[i]
+          ++count
+        }
+      }
+      averageX /= count
+      averageY /= count
+
+      const start = Math.floor(bucket * every) + 1
+      const end = Math.floor((bucket + 1) * every) + 1
+      let maxArea = -1
+      let next = start
+      for (let i = start; i < end; ++i) {
+        const area = Math.abs((a - averageX) * (values[i] - values[a]) - (a - i) * (averageY - values[a]))
+        if (area > maxArea) {
+          maxArea = area
+          next = i
+        }
+      }
+      indices.push(next)
+      a = next
+    }
+    indices.push(length - 1)
+    return indices
+  }
+
+  /**
+   * Min/max downsampling: splits the values into `samples / 2` buckets and keeps the minimum and maximum of each,
+   * in order, so spikes are never dropped.
+   * @param values the values
+   * @param length the number of values
+   * @param samples the number of values to keep
+   * @returns the ascending indices of the values kept
+   */
+  static minMaxIndices (values, length, samples) {
+    if (length <= samples || samples < 2) {
+      return AlgUtils.sampleIndices(length, samples)
+    }
+    const indices = []
+    for (const [start, end] of AlgUtils.buckets(length, Math.trunc(samples / 2))) {
+      let min = start
+      let max = start
+      for (let i = start; i < end; ++i) {
+        if (values[i] < values[min] || Number.isNaN(values[min])) {
+          min = i
+        }
+        if (values[i] > values[max] || Number.isNaN(values[max])) {
+          max = i
+        }
+      }
+      indices.push(Math.min(min, max))
+      if (min !== max) {
+        indices.push(Math.max(min, max))
+      }
     }
-    return Array.from(sampleArray) // convert the Float64Array to a Number Array
+    return indices
+  }
+
+  /**
+   * @returns the `[start, end)` index ranges splitting `length` values into `count` buckets of (nearly) equal size
+   */
+  static buckets (length, count) {
+    const buckets = new Array(Math.min(count, length))
+    for (let b = 0; b < buckets.length; ++b) {
+      buckets[b] = [Math.floor(b * length / buckets.length), Math.floor((b + 1) * length / buckets.length)]
+    }
+    return buckets
+  }
+
+  /**
+   * @returns the last `tail` values of the array, or all values if `tail` is 0
+   */
+  static tail (array, tail = 0) {
+    return tail > 0 && array.length > tail ? array.slice(array.length - tail) : array
   }
 }
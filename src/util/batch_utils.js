@@ -0,0 +1,125 @@
+const fs = require('fs')
+const BinaryUtils = require('./binary_utils.js')
+const IndicatorRegistry = require('../indicator_registry.js')
+const OhlcSystem = require('../ohlc_system.js')
+const indicators = require('../indicators/index.js')
+
+module.exports = class BatchUtils {
+  /**
+   * Calculate the indicators of a binary file in fixed-size batches, for data sets larger than memory.
+   * One OhlcSystem arena of `batchSize + overlap` is reused for every batch: the OHLCV columns of each batch are read straight
+   * into it at their file positions, and the calculated columns are streamed to the output binary file before the next batch.
+   * Each batch is preceded by the `overlap` rows before it, carried with their calculated columns from the previous batch, so:
+   * - windowed indicators are exact at batch boundaries, recalculating the overlap with their `soa`/`simd` kernel
+   * - recursive indicators (e.g. EMAs, Wilder's smoothing and session-anchored VWAPs) are calculated row by row with their
+   *   `stream` kernel, whose state is carried from batch to batch
+   * The result matches an unbatched calculation, up to the rounding of the sliding sums of stream kernels.
+   * The overlap defaults to `window - 1`, or the lookback of the registered indicators through their dependencies if greater,
+   * and is at least one row, the previous row read by stream kernels.
+   * @param inputFilename the binary file containing the OHLCV columns, in chronological order
+   * @param outputFilename the binary file to write with every column of the OhlcSystem arena
+   * @param batchSize the number of rows calculated per batch
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, 'naive' to re-scan each window, or 'simd' (see `OhlcSystem.calculate`)
+   * @param params object of indicator parameter overrides keyed by indicator name
+   * @param overlap the number of rows carried from the previous batch (defaults to the lookback)
+   * @param registry the indicators to calculate, each declaring a `lookback` or a `stream` kernel
+   * @returns object containing the row and batch counts
+   */
+  static calculateInBatches (inputFilename, outputFilename, {
+    batchSize, window, kernel = 'incremental', params = {}, overlap = undefined, registry = indicators
+  }) {
+    if (overlap === undefined) {
+      overlap = Math.max(1, window - 1, registry.lookback(window, kernel, params))
+    } else if (!(overlap >= 1)) {
+      throw new Error(`batch overlap must be at least 1: ${overlap}`)
+    }
+    const calculators = BatchUtils.calculators(registry, window, kernel, params)
+    const input = fs.openSync(inputFilename, 'r')
+    const output = fs.openSync(outputFilename, 'w')
+    try {
+      const payload = BinaryUtils.readHeader(input)
+      const { rowCount } = payload.header
+      const ohlcSystem = new OhlcSystem(batchSize + overlap, registry, { wasm: kernel === 'simd' })
+      const components = ohlcSystem.fields.map(field => ohlcSystem[IndicatorRegistry.componentName(field)])
+
+      const outputHeader = BinaryUtils.encodeHeader({ version: BinaryUtils.VERSION, rowCount, columns: ohlcSystem.fields })
+      BinaryUtils.writeFully(output, outputHeader, 0)
+      const columnBytes = rowCount * Float64Array.BYTES_PER_ELEMENT
+      const outputPosition = (column, row) => outputHeader.length + column * columnBytes + row * Float64Array.BYTES_PER_ELEMENT
+
+      let batches = 0
+      for (let startIndex = 0; startIndex < rowCount; startIndex += batchSize, ++batches) {
+        const fromIndex = Math.max(0, startIndex - overlap)
+        const toIndex = Math.min(rowCount, startIndex + batchSize)
+        const length = toIndex - fromIndex
+        const skip = startIndex - fromIndex
+
+        // carry the overlap rows, already calculated, from the end of the previous batch to the start of the arena
+        const previousLength = ohlcSystem.length
+        for (const component of components) {
+          component.copyWithin(0, previousLength - skip, previousLength)
+        }
+        for (const field of IndicatorRegistry.BASE_COLUMNS) {
+          const component = ohlcSystem[IndicatorRegistry.componentName(field)]
+          if (!BinaryUtils.readColumn(input, payload, field, component.subarray(skip, length), startIndex)) {
+            throw new Error(`binary file is invalid: missing column ${field}`)
+          }
+        }
+        ohlcSystem.length = length
+        BatchUtils.calculateBatch(ohlcSystem, calculators, skip)
+
+        // stream the rows of this batch (without the overlap) to their positions in each output column
+        const rows = toIndex - startIndex
+        components.forEach((component, i) => {
+          const bytes = new Uint8Array(component.buffer, component.byteOffset + skip * Float64Array.BYTES_PER_ELEMENT, rows * Float64Array.BYTES_PER_ELEMENT)
+          BinaryUtils.writeFully(output, bytes, outputPosition(i, startIndex))
+        })
+      }
+      return { rowCount, batches }
+    } finally {
+      fs.closeSync(input)
+      fs.closeSync(output)
+    }
+  }
+
+  /**
+   * @returns array of `{ indicator, params, state }` for each indicator in dependency order, where `state` is its stream kernel
+   */
+  static calculators (registry, window, kernel, params) {
+    return registry.sort().map(indicator => {
+      const jsParams = IndicatorRegistry.params(indicator, window, kernel === 'simd' ? 'incremental' : kernel, params)
+      const state = indicator.stream ? indicator.stream(jsParams) : null
+      if (!state && !indicator.lookback) {
+        throw new Error(`indicator ${indicator.name} cannot be calculated in batches: it declares neither a lookback nor a stream kernel`)
+      }
+      const useSimd = kernel === 'simd' && indicator.simd
+      return { indicator, params: useSimd ? IndicatorRegistry.params(indicator, window, kernel, params) : jsParams, useSimd, state }
+    })
+  }
+
+  /**
+   * Calculate the rows of a batch after the overlap rows carried from the previous batch.
+   * @param ohlcSystem the arena of the batch
+   * @param calculators the calculators of `calculators`, whose stream states were carried from the previous batch
+   * @param skip the number of overlap rows at the start of the arena
+   */
+  static calculateBatch (ohlcSystem, calculators, skip) {
+    for (const { indicator, params, useSimd, state } of calculators) {
+      if (state) {
+        for (let i = skip, length = ohlcSystem.length; i < length; ++i) {
+          state.soa(ohlcSystem, i)
+        }
+        continue
+      }
+      // the kernel recalculates the overlap rows over truncated windows, so keep the exact values carried for dependent indicators
+      const carried = indicator.outputs.map(output => ohlcSystem[IndicatorRegistry.componentName(output)].slice(0, skip))
+      if (useSimd) {
+        indicator.simd(ohlcSystem, params)
+      } else {
+        indicator.soa(ohlcSystem, params)
+      }
+      indicator.outputs.forEach((output, i) => ohlcSystem[IndicatorRegistry.componentName(output)].set(carried[i]))
+    }
+  }
+}
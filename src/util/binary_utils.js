@@ -0,0 +1,255 @@
+const fs = require('fs')
+const os = require('os')
+const AlgUtils = require('./alg_utils.js')
+const OhlcUtils = require('./ohlc_utils.js')
+const CsvSchema = require('../csv_schema.js')
+const IndicatorRegistry = require('../indicator_registry.js')
+const Ohlc = require('../ohlc.js')
+const OhlcSystem = require('../ohlc_system.js')
+
+const MAGIC = 'NDOD'
+const VERSION = 2
+const PREFIX_SIZE = 8 // magic followed by the uint32 header size
+
+/**
+ * Binary columnar file format for OHLC data:
+ * - `NDOD` magic and uint32 (little-endian) size of the header
+ * - JSON header `{ version, rowCount, columns }` padded with spaces to a multiple of 8 bytes
+ * - each column in header order as `rowCount` float64 values, including the `timestamp` column of epoch milliseconds
+ * Columns are stored contiguously like the `OhlcSystem` arena, so each is read straight into its component with no per-row parsing.
+ * Values are stored in the platform byte order, which must be little-endian.
+ */
+module.exports = class BinaryUtils {
+  /**
+   * @param filename the binary file to write
+   * @param ohlcSystem the OhlcSystem to write
+   * @param fields the `Ohlc` field names of the columns to write (defaults to the full arena)
+   */
+  static writeOhlcSystem (filename, ohlcSystem, fields = ohlcSystem.fields) {
+    BinaryUtils.checkByteOrder()
+    const rowCount = ohlcSystem.length
+    const header = BinaryUtils.encodeHeader({ version: VERSION, rowCount, columns: fields })
+
+    const fd = fs.openSync(filename, 'w')
+    try {
+      let position = 0
+      position += fs.writeSync(fd, header, 0, header.length, position)
+      for (const field of fields) {
+        const component = ohlcSystem[IndicatorRegistry.componentName(field)]
+        const bytes = new Uint8Array(component.buffer, component.byteOffset, rowCount * Float64Array.BYTES_PER_ELEMENT)
+        position += BinaryUtils.writeFully(fd, bytes, position)
+      }
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+
+  /**
+   * Convert a CSV file to a binary file of the timestamp and OHLCV columns, chunk by chunk, for files larger than memory.
+   * The column positions depend on the row count, so the first pass parses the CSV file into an arena of `chunkSize` rows,
+   * appending each full chunk to a temporary file (`<binaryFilename>.tmp`) with its columns contiguous within the chunk.
+   * The second pass reads the chunks back and writes the rows of each to their positions in every column, in reverse
+   * for newest-first files, so the binary file is always oldest-first.
+   * @param csvFilename the CSV file to convert
+   * @param binaryFilename the binary file to write
+   * @param chunkSize the number of rows held in memory
+   * @param schema the layout of the CSV file
+   * @returns the number of rows converted
+   */
+  static async convertCsv (csvFilename, binaryFilename, { chunkSize = 65536, schema = CsvSchema.fromEnv() } = {}) {
+    BinaryUtils.checkByteOrder()
+    const fields = IndicatorRegistry.BASE_COLUMNS
+    const chunk = new OhlcSystem(chunkSize, new IndicatorRegistry())
+    const components = fields.map(field => chunk[IndicatorRegistry.componentName(field)])
+    const chunkBytes = (component, length) => new Uint8Array(component.buffer, component.byteOffset, length * Float64Array.BYTES_PER_ELEMENT)
+
+    const tempFilename = `${binaryFilename}.tmp`
+    const temp = fs.openSync(tempFilename, 'w+')
+    try {
+      const chunkLengths = []
+      let tempPosition = 0
+      const flush = () => {
+        for (const component of components) {
+          tempPosition += BinaryUtils.writeFully(temp, chunkBytes(component, chunk.length), tempPosition)
+        }
+        chunkLengths.push(chunk.length)
+        chunk.length = 0
+      }
+      await OhlcUtils.parseFromCsv(csvFilename, ohlc => {
+        const i = chunk.length
+        components.forEach((component, j) => { component[i] = ohlc[fields[j]] })
+        if (++chunk.length === chunkSize) {
+          flush()
+        }
+      }, () => {
+        if (chunk.length > 0) {
+          flush()
+        }
+      }, schema)
+
+      const rowCount = chunkLengths.reduce((sum, length) => sum + length, 0)
+      const header = BinaryUtils.encodeHeader({ version: VERSION, rowCount, columns: fields })
+      const columnBytes = rowCount * Float64Array.BYTES_PER_ELEMENT
+      const output = fs.openSync(binaryFilename, 'w')
+      try {
+        BinaryUtils.writeFully(output, header, 0)
+        tempPosition = 0
+        let fromRow = 0 // the first row of the chunk in file order
+        for (const length of chunkLengths) {
+          const toRow = schema.newestFirst ? rowCount - fromRow - length : fromRow
+          components.forEach((component, j) => {
+            tempPosition += BinaryUtils.readFully(temp, chunkBytes(component, length), tempPosition)
+            if (schema.newestFirst) {
+              AlgUtils.reverseMinLength(component, length)
+            }
+            BinaryUtils.writeFully(output, chunkBytes(component, length), header.length + j * columnBytes + toRow * Float64Array.BYTES_PER_ELEMENT)
+          })
+          fromRow += length
+        }
+      } finally {
+        fs.closeSync(output)
+      }
+      return rowCount
+    } finally {
+      fs.closeSync(temp)
+      fs.unlinkSync(tempFilename)
+    }
+  }
+
+  /**
+   * @param filename the binary file to read
+   * @param registry the indicators whose output components are allocated in the arena
+   * @returns OhlcSystem containing each stored column that is a component of the system
+   */
+  static readOhlcSystem (filename, registry = undefined) {
+    const fd = fs.openSync(filename, 'r')
+    try {
+      const { header, payloadPosition } = BinaryUtils.readHeader(fd)
+      const { rowCount, columns } = header
+      const ohlcSystem = new OhlcSystem(rowCount, registry)
+      for (const field of columns) {
+        const component = ohlcSystem[IndicatorRegistry.componentName(field)]
+        if (component) {
+          BinaryUtils.readColumn(fd, { header, payloadPosition }, field, component.subarray(0, rowCount))
+        }
+      }
+      ohlcSystem.length = rowCount
+      return ohlcSystem
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+
+  /**
+   * @param filename the binary file to read
+   * @returns array of Ohlc values containing the stored OHLCV columns
+   */
+  static readOhlcs (filename) {
+    const fd = fs.openSync(filename, 'r')
+    try {
+      const payload = BinaryUtils.readHeader(fd)
+      const { rowCount } = payload.header
+      const values = {}
+      for (const field of IndicatorRegistry.BASE_COLUMNS) {
+        values[field] = new Float64Array(rowCount)
+        if (!BinaryUtils.readColumn(fd, payload, field, values[field])) {
+          throw new Error(`binary file is invalid: missing column ${field}`)
+        }
+      }
+
+      const { timestamp, open, high, low, close, volume } = values
+      const ohlcs = new Array(rowCount)
+      for (let i = 0; i < rowCount; ++i) {
+        ohlcs[i] = new Ohlc({
+          timestamp: timestamp[i],
+          open: open[i],
+          high: high[i],
+          low: low[i],
+          close: close[i],
+          volume: volume[i]
+        })
+      }
+      return ohlcs
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+
+  static encodeHeader (header) {
+    const json = JSON.stringify(header)
+    const size = Math.ceil((PREFIX_SIZE + Buffer.byteLength(json)) / 8) * 8 - PREFIX_SIZE // keep the columns 8-byte aligned
+    const buffer = Buffer.alloc(PREFIX_SIZE + size, ' ')
+    buffer.write(MAGIC, 0, 'ascii')
+    buffer.writeUInt32LE(size, 4)
+    buffer.write(json, PREFIX_SIZE, 'utf8')
+    return buffer
+  }
+
+  static readHeader (fd) {
+    BinaryUtils.checkByteOrder()
+    const prefix = Buffer.alloc(PREFIX_SIZE)
+    BinaryUtils.readFully(fd, prefix, 0)
+    if (prefix.toString('ascii', 0, 4) !== MAGIC) {
+      throw new Error('binary file is invalid: bad magic')
+    }
+    const size = prefix.readUInt32LE(4)
+    const json = Buffer.alloc(size)
+    BinaryUtils.readFully(fd, json, PREFIX_SIZE)
+    const header = JSON.parse(json.toString('utf8'))
+    if (header.version !== VERSION) {
+      throw new Error(`binary file is invalid: unsupported version ${header.version}`)
+    }
+    return { header, payloadPosition: PREFIX_SIZE + size }
+  }
+
+  /**
+   * Read consecutive rows of a stored column.
+   * @param fd the binary file descriptor
+   * @param payload the `{ header, payloadPosition }` read by `readHeader`
+   * @param field the `Ohlc` field name of the column
+   * @param values the Float64Array to read the rows into
+   * @param fromRow the first row to read
+   * @returns true if the column was read, or false if the file does not store it
+   */
+  static readColumn (fd, { header, payloadPosition }, field, values, fromRow = 0) {
+    const { rowCount, columns } = header
+    const i = columns.indexOf(field)
+    if (i === -1) {
+      return false
+    }
+    const bytes = new Uint8Array(values.buffer, values.byteOffset, values.length * Float64Array.BYTES_PER_ELEMENT)
+    BinaryUtils.readFully(fd, bytes, payloadPosition + (i * rowCount + fromRow) * Float64Array.BYTES_PER_ELEMENT)
+    return true
+  }
+
+  static readFully (fd, bytes, position) {
+    for (let offset = 0; offset < bytes.length;) {
+      const bytesRead = fs.readSync(fd, bytes, offset, bytes.length - offset, position + offset)
+      if (bytesRead === 0) {
+        throw new Error('binary file is invalid: unexpected end of file')
+      }
+      offset += bytesRead
+    }
+    return bytes.length
+  }
+
+  static writeFully (fd, bytes, position) {
+    for (let offset = 0; offset < bytes.length;) {
+      offset += fs.writeSync(fd, bytes, offset, bytes.length - offset, position + offset)
+    }
+    return bytes.length
+  }
+
+  /**
+   * The version of the files written
+   */
+  static get VERSION () {
+    return VERSION
+  }
+
+  static checkByteOrder () {
+    if (os.endianness() !== 'LE') {
+      throw new Error('binary files require a little-endian platform')
+    }
+  }
+}
@@ -1,81 +1,149 @@
 const AlgUtils = require('./alg_utils.js')
+const IndicatorRegistry = require('../indicator_registry.js')
+const indicators = require('../indicators/index.js')
 const fs = require('fs')
 
+/**
+ * Writes downsampled chart data for each chart declared by the registered indicators,
+ * along with `charts.json` listing the written charts, and the candles aggregated into buckets (`candles`).
+ * Each chart is downsampled by one of the methods of `DOWNSAMPLE_METHODS`, selecting the same rows for each of its components:
+ * - `sample` - every n-th row
+ * - `lttb` - Largest-Triangle-Three-Buckets on the close (overlays) or the first component (oscillators)
+ * - `minmax` - the min and max rows of each bucket on the same component, keeping wicks and spikes
+ * The candles are aggregated rather than sampled: the first open, the max high, the min low, the last close and the summed volume of each bucket.
+ * Timestamps are formatted as ISO 8601 dates for the chart labels.
+ */
 module.exports = class ChartUtils {
-  static writeOhlcsSamples (ohlcs, title, samples, tail = 0) {
-    const sampleArray = AlgUtils.sampleArray(ohlcs, samples, tail)
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlcs-hl2.json`, JSON.stringify({
-      title: `${title} - OHLCs - HL/2`,
-      dates: sampleArray.map(ohlc => ohlc.date),
-      closes: sampleArray.map(ohlc => ohlc.close),
-      hl2s: sampleArray.map(ohlc => ohlc.hl2),
-      hl2Averages: sampleArray.map(ohlc => ohlc.hl2Average),
-      hl2StdevUppers: sampleArray.map(ohlc => ohlc.hl2StdevUpper),
-      hl2StdevLowers: sampleArray.map(ohlc => ohlc.hl2StdevLower)
-    }))
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlcs-hlc3.json`, JSON.stringify({
-      title: `${title} - OHLCs - HLC/3`,
-      dates: sampleArray.map(ohlc => ohlc.date),
-      closes: sampleArray.map(ohlc => ohlc.close),
-      hlc3s: sampleArray.map(ohlc => ohlc.hlc3),
-      hlc3Averages: sampleArray.map(ohlc => ohlc.hlc3Average),
-      hlc3StdevUppers: sampleArray.map(ohlc => ohlc.hlc3StdevUpper),
-      hlc3StdevLowers: sampleArray.map(ohlc => ohlc.hlc3StdevLower)
-    }))
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlcs-ohlc4.json`, JSON.stringify({
-      title: `${title} - OHLCs - OHLC/4`,
-      dates: sampleArray.map(ohlc => ohlc.date),
-      closes: sampleArray.map(ohlc => ohlc.close),
-      ohlc4s: sampleArray.map(ohlc => ohlc.ohlc4),
-      ohlc4Averages: sampleArray.map(ohlc => ohlc.ohlc4Average),
-      ohlc4StdevUppers: sampleArray.map(ohlc => ohlc.ohlc4StdevUpper),
-      ohlc4StdevLowers: sampleArray.map(ohlc => ohlc.ohlc4StdevLower)
-    }))
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlcs-osc.json`, JSON.stringify({
-      title: `${title} - OHLCs - Oscillators`,
-      dates: sampleArray.map(ohlc => ohlc.date),
-      rsis: sampleArray.map(ohlc => ohlc.rsi),
-      stochastics: sampleArray.map(ohlc => ohlc.stochastic),
-      mfis: sampleArray.map(ohlc => ohlc.mfi)
-    }))
+  static get DOWNSAMPLE_METHODS () {
+    return ['sample', 'lttb', 'minmax']
   }
 
-  static writeOhlcSystemSamples (ohlcSystem, title, samples, tail = 0) {
-    const dates = AlgUtils.sampleArray(ohlcSystem.dates, samples, tail)
-    const closes = AlgUtils.sampleFloat64Array(ohlcSystem.closes, ohlcSystem.length, samples, tail)
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlc-system-hl2.json`, JSON.stringify({
-      title: `${title} - OHLC System - HL/2`,
-      dates: dates,
-      closes: closes,
-      hl2s: AlgUtils.sampleFloat64Array(ohlcSystem.hl2s, samples, tail),
-      hl2Averages: AlgUtils.sampleFloat64Array(ohlcSystem.hl2Averages, ohlcSystem.length, samples, tail),
-      hl2StdevUppers: AlgUtils.sampleFloat64Array(ohlcSystem.hl2StdevUppers, ohlcSystem.length, samples, tail),
-      hl2StdevLowers: AlgUtils.sampleFloat64Array(ohlcSystem.hl2StdevLowers, ohlcSystem.length, samples, tail)
-    }))
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlc-system-hlc3.json`, JSON.stringify({
-      title: `${title} - OHLC System - HLC/3`,
-      dates: dates,
-      closes: closes,
-      hlc3s: AlgUtils.sampleFloat64Array(ohlcSystem.hlc3s, ohlcSystem.length, samples, tail),
-      hlc3Averages: AlgUtils.sampleFloat64Array(ohlcSystem.hlc3Averages, ohlcSystem.length, samples, tail),
-      hlc3StdevUppers: AlgUtils.sampleFloat64Array(ohlcSystem.hlc3StdevUppers, ohlcSystem.length, samples, tail),
-      hlc3StdevLowers: AlgUtils.sampleFloat64Array(ohlcSystem.hlc3StdevLowers, ohlcSystem.length, samples, tail)
-    }))
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlc-system-ohlc4.json`, JSON.stringify({
-      title: `${title} - OHLC System - OHLC/4`,
-      dates: dates,
-      closes: closes,
-      ohlc4s: AlgUtils.sampleFloat64Array(ohlcSystem.ohlc4s, ohlcSystem.length, samples, tail),
-      ohlc4Averages: AlgUtils.sampleFloat64Array(ohlcSystem.ohlc4Averages, ohlcSystem.length, samples, tail),
-      ohlc4StdevUppers: AlgUtils.sampleFloat64Array(ohlcSystem.ohlc4StdevUppers, ohlcSystem.length, samples, tail),
-      ohlc4StdevLowers: AlgUtils.sampleFloat64Array(ohlcSystem.ohlc4StdevLowers, ohlcSystem.length, samples, tail)
+  /**
+   * @param registry the indicators whose charts are written
+   * @param downsample the downsampling method (see `DOWNSAMPLE_METHODS`)
+   */
+  static writeOhlcsSamples (ohlcs, title, samples, tail = 0, { registry = indicators, downsample = 'sample' } = {}) {
+    ChartUtils.writeSamples('ohlcs', `${title} - OHLCs`, ohlcs.length, {
+      column: field => ohlcs.map(ohlc => ohlc[field]),
+      value: (field, i) => ohlcs[i][field]
+    }, registry, samples, tail, downsample)
+  }
+
+  /**
+   * @param downsample the downsampling method (see `DOWNSAMPLE_METHODS`)
+   */
+  static writeOhlcSystemSamples (ohlcSystem, title, samples, tail = 0, { downsample = 'sample' } = {}) {
+    ChartUtils.writeSamples('ohlc-system', `${title} - OHLC System`, ohlcSystem.length, {
+      column: field => ohlcSystem[IndicatorRegistry.componentName(field)],
+      value: (field, i) => ohlcSystem[IndicatorRegistry.componentName(field)][i]
+    }, ohlcSystem.registry, samples, tail, downsample)
+  }
+
+  /**
+   * @param prefix the prefix of the chart data files
+   * @param length the number of rows
+   * @param column function returning the values of a field
+   * @param value function returning the value of a field at a row
+   */
+  static writeSamples (prefix, title, length, { column, value }, registry, samples, tail, downsample) {
+    const candles = ChartUtils.candles(length, value, samples)
+    for (const component in candles) {
+      candles[component] = AlgUtils.tail(candles[component], tail)
+    }
+    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/${prefix}-candles.json`, JSON.stringify({
+      title: `${title} - Candles`,
+      dates: candles.timestamps.map(ChartUtils.formatTimestamp),
+      ...candles
     }))
-    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/ohlc-system-osc.json`, JSON.stringify({
-      title: `${title} - OHLC System - Oscillators`,
-      dates: dates,
-      rsis: AlgUtils.sampleFloat64Array(ohlcSystem.rsis, ohlcSystem.length, samples, tail),
-      stochastics: AlgUtils.sampleFloat64Array(ohlcSystem.stochastics, ohlcSystem.length, samples, tail),
-      mfis: AlgUtils.sampleFloat64Array(ohlcSystem.mfis, ohlcSystem.length, samples, tail)
+
+    for (const chart of registry.charts()) {
+      const reference = chart.overlay ? 'close' : chart.fields[0]
+      const values = downsample === 'sample' ? null : column(reference) // sampling every n-th row does not need the values
+      const indices = AlgUtils.tail(ChartUtils.downsampleIndices(downsample, values, length, samples), tail)
+      const pick = field => indices.map(i => value(field, i))
+      const data = {
+        title: `${title} - ${chart.title}`,
+        dates: pick('timestamp').map(ChartUtils.formatTimestamp),
+        closes: pick('close')
+      }
+      for (const field of chart.fields) {
+        data[IndicatorRegistry.componentName(field)] = pick(field)
+      }
+      fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/${prefix}-${chart.id}.json`, JSON.stringify(data))
+    }
+    ChartUtils.writeChartsManifest(registry)
+  }
+
+  /**
+   * @param method the downsampling method (see `DOWNSAMPLE_METHODS`)
+   * @param values the values of the component the rows are selected on
+   * @param length the number of rows
+   * @param samples the maximum number of rows to select
+   * @returns the ascending indices of the selected rows
+   */
+  static downsampleIndices (method, values, length, samples) {
+    switch (method) {
+      case 'sample':
+        return AlgUtils.sampleIndices(length, samples)
+      case 'lttb':
+        return AlgUtils.lttbIndices(values, length, samples)
+      case 'minmax':
+        return AlgUtils.minMaxIndices(values, length, samples)
+      default:
+        throw new Error(`downsample method is invalid: ${method} (${ChartUtils.DOWNSAMPLE_METHODS.join(', ')})`)
+    }
+  }
+
+  /**
+   * @param length the number of rows
+   * @param value function returning the value of a field at a row
+   * @param samples the maximum number of candles
+   * @returns the candles of `samples` buckets of consecutive rows, as arrays of `timestamps`, `opens`, `highs`, `lows`, `closes` and `volumes`,
+   * each timestamped with its first row
+   */
+  static candles (length, value, samples) {
+    const buckets = AlgUtils.buckets(length, samples)
+    const candles = { timestamps: [], opens: [], highs: [], lows: [], closes: [], volumes: [] }
+    for (const [start, end] of buckets) {
+      let high = value('high', start)
+      let low = value('low', start)
+      let volume = 0.0
+      for (let i = start; i < end; ++i) {
+        high = Math.max(high, value('high', i))
+        low = Math.min(low, value('low', i))
+        volume += value('volume', i)
+      }
+      candles.timestamps.push(value('timestamp', start))
+      candles.opens.push(value('open', start))
+      candles.highs.push(high)
+      candles.lows.push(low)
+      candles.closes.push(value('close', end - 1))
+      candles.volumes.push(volume)
+    }
+    return candles
+  }
+
+  /**
+   * @param timestamp epoch milliseconds
+   * @returns the timestamp as `YYYY-MM-DDTHH:mm:ssZ`
+   */
+  static formatTimestamp (timestamp) {
+    return new Date(timestamp).toISOString().replace('.000Z', 'Z')
+  }
+
+  static writeChartsManifest (registry) {
+    fs.writeFileSync(`${process.env.SERVER_PUBLIC_DIR}/data/charts.json`, JSON.stringify({ charts: ChartUtils.charts(registry) }))
+  }
+
+  /**
+   * @returns the charts declared by the registered indicators, with the component names of their fields
+   */
+  static charts (registry) {
+    return registry.charts().map(({ id, title, overlay, fields }) => ({
+      id,
+      title,
+      overlay,
+      components: fields.map(IndicatorRegistry.componentName)
     }))
   }
 }
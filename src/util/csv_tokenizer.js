@@ -0,0 +1,188 @@
+const QUOTE = 34 // `"`
+const CR = 13
+const LF = 10
+const BOM = [0xef, 0xbb, 0xbf]
+
+// states between bytes
+const FIELD_START = 0
+const UNQUOTED = 1
+const QUOTED = 2
+const QUOTE_IN_QUOTED = 3 // a quote inside a quoted field: an escaped quote, or the end of the field
+const AFTER_QUOTED = 4
+
+/**
+ * Streaming CSV tokenizer following RFC 4180 (https://tools.ietf.org/html/rfc4180#section-2):
+ * - fields are separated by a single-byte delimiter and records by LF or CRLF
+ * - quoted fields may contain delimiters, line breaks and escaped quotes (`""`)
+ * - a UTF-8 byte order mark at the start of the stream is skipped
+ * - a trailing line break does not start another record, and empty lines are skipped
+ * Unquoted fields within one chunk are passed to `onField` as a range of the chunk itself, with no copying; fields spanning
+ * chunks, and quoted fields, are assembled in a field buffer which grows as needed.
+ * Delimiters and line breaks are found with `Buffer.indexOf`, and each is searched for once per chunk position rather than per field.
+ */
+module.exports = class CsvTokenizer {
+  /**
+   * @param delimiter the single-byte field delimiter
+   * @param fieldBufferSize the initial size of the buffer for fields spanning chunks or quoted (doubled when full)
+   * @param onField called with `(fieldIndex, bytes, start, end, lineNumber)` for each field, where the field is
+   * `bytes[start, end)` without quotes; the bytes are only valid during the call
+   * @param onRecord called with `(fieldCount, lineNumber)` at the end of each record
+   */
+  constructor ({ delimiter = ',', fieldBufferSize = 32, onField, onRecord }) {
+    if (Buffer.byteLength(delimiter) !== 1 || delimiter.charCodeAt(0) === QUOTE || delimiter.charCodeAt(0) === CR || delimiter.charCodeAt(0) === LF) {
+      throw new Error(`CSV delimiter is invalid: ${JSON.stringify(delimiter)}`)
+    }
+    this.delimiter = delimiter.charCodeAt(0)
+    this.onField = onField
+    this.onRecord = onRecord
+    this.fieldBuffer = Buffer.allocUnsafe(Math.max(1, fieldBufferSize))
+    this.fieldSize = 0
+    this.fieldIndex = 0
+    this.state = FIELD_START
+    this.lineNumber = 1 // the line at which the current record starts
+    this.lineBreaks = 0 // line breaks inside the quoted fields of the current record
+    this.bomLength = 0 // bytes of the byte order mark matched at the start of the stream
+  }
+
+  /**
+   * @param chunk the next Buffer of the stream
+   */
+  write (chunk) {
+    let i = 0
+    const length = chunk.length
+    if (this.bomLength < BOM.length) { // the byte order mark may span chunks
+      while (i < length && this.bomLength < BOM.length && chunk[i] === BOM[this.bomLength]) {
+        ++i
+        ++this.bomLength
+      }
+      if (this.bomLength < BOM.length && i < length) { // not a byte order mark, so tokenize the bytes matched so far
+        const matched = this.bomLength
+        this.bomLength = BOM.length
+        this.write(Buffer.from(BOM.slice(0, matched)))
+      }
+    }
+    const delimiter = this.delimiter
+    let nextDelimiter = -2 // not yet searched
+    let nextLineBreak = -2
+    while (i < length) {
+      const state = this.state
+      if (state === QUOTED) {
+        const quote = chunk.indexOf(QUOTE, i)
+        const end = quote === -1 ? length : quote
+        this.countLineBreaks(chunk, i, end)
+        this.append(chunk, i, end)
+        this.state = quote === -1 ? QUOTED : QUOTE_IN_QUOTED
+        i = end + 1
+        continue
+      }
+      if (state === QUOTE_IN_QUOTED) {
+        if (chunk[i] === QUOTE) { // escaped quote
+          this.append(chunk, i, i + 1)
+          this.state = QUOTED
+          ++i
+          continue
+        }
+        this.state = AFTER_QUOTED
+      } else if (state === FIELD_START && chunk[i] === QUOTE) {
+        this.state = QUOTED
+        ++i
+        continue
+      }
+
+      // the field (or what follows a quoted field) ends at the next delimiter or line break
+      if (nextDelimiter !== -1 && nextDelimiter < i) {
+        nextDelimiter = chunk.indexOf(delimiter, i)
+      }
+      if (nextLineBreak !== -1 && nextLineBreak < i) {
+        nextLineBreak = chunk.indexOf(LF, i)
+      }
+      const isLineBreak = nextLineBreak !== -1 && (nextDelimiter === -1 || nextLineBreak < nextDelimiter)
+      const end = isLineBreak ? nextLineBreak : nextDelimiter
+      if (end === -1) { // the field continues in the next chunk
+        this.appendField(chunk, i, length)
+        break
+      }
+      let fieldEnd = end
+      if (isLineBreak && fieldEnd > i && chunk[fieldEnd - 1] === CR) {
+        --fieldEnd
+      } else if (isLineBreak && fieldEnd === i && this.fieldSize > 0 && this.state !== AFTER_QUOTED &&
+          this.fieldBuffer[this.fieldSize - 1] === CR) { // CR at the end of the previous chunk
+        --this.fieldSize
+      }
+      this.appendField(chunk, i, fieldEnd)
+      this.endField(chunk, i, fieldEnd, isLineBreak)
+      i = end + 1
+    }
+  }
+
+  /**
+   * End the stream, emitting the last record if it has no trailing line break.
+   */
+  end () {
+    if (this.state === QUOTED) {
+      throw new Error(`CSV file is invalid: unterminated quoted field at line ${this.lineNumber}`)
+    }
+    if (this.state !== FIELD_START || this.fieldIndex > 0) {
+      if (this.state !== AFTER_QUOTED && this.state !== QUOTE_IN_QUOTED && this.fieldSize > 0 && this.fieldBuffer[this.fieldSize - 1] === CR) {
+        --this.fieldSize
+      }
+      if (this.state === QUOTE_IN_QUOTED) {
+        this.state = AFTER_QUOTED
+      }
+      this.endField(this.fieldBuffer, 0, 0, true)
+    }
+  }
+
+  appendField (chunk, start, end) {
+    if (this.state === AFTER_QUOTED) {
+      if (end > start && !(end - start === 1 && chunk[start] === CR)) {
+        throw new Error(`CSV file is invalid: unexpected characters after a quoted field at line ${this.lineNumber + this.lineBreaks}`)
+      }
+    } else {
+      this.state = UNQUOTED
+      if (this.fieldSize > 0 || end === chunk.length) {
+        this.append(chunk, start, end)
+      }
+    }
+  }
+
+  endField (chunk, start, end, isLineBreak) {
+    const buffered = this.fieldSize > 0 || this.state === AFTER_QUOTED
+    const isEmptyLine = isLineBreak && this.fieldIndex === 0 && this.state === UNQUOTED && !buffered && end === start
+    if (!isEmptyLine) {
+      if (buffered) {
+        this.onField(this.fieldIndex, this.fieldBuffer, 0, this.fieldSize, this.lineNumber)
+      } else {
+        this.onField(this.fieldIndex, chunk, start, end, this.lineNumber)
+      }
+      ++this.fieldIndex
+    }
+    this.fieldSize = 0
+    this.state = FIELD_START
+    if (isLineBreak) {
+      if (!isEmptyLine) {
+        this.onRecord(this.fieldIndex, this.lineNumber)
+      }
+      this.lineNumber += this.lineBreaks + 1
+      this.lineBreaks = 0
+      this.fieldIndex = 0
+    }
+  }
+
+  append (chunk, start, end) {
+    const size = this.fieldSize + (end - start)
+    if (size > this.fieldBuffer.length) {
+      const fieldBuffer = Buffer.allocUnsafe(Math.max(size, this.fieldBuffer.length * 2))
+      this.fieldBuffer.copy(fieldBuffer, 0, 0, this.fieldSize)
+      this.fieldBuffer = fieldBuffer
+    }
+    chunk.copy(this.fieldBuffer, this.fieldSize, start, end)
+    this.fieldSize = size
+  }
+
+  countLineBreaks (chunk, start, end) {
+    for (let i = chunk.indexOf(LF, start); i !== -1 && i < end; i = chunk.indexOf(LF, i + 1)) {
+      ++this.lineBreaks
+    }
+  }
+}
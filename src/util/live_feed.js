@@ -0,0 +1,98 @@
+const logger = require('./logger.js')
+const ChartUtils = require('./chart_utils.js')
+const IndicatorRegistry = require('../indicator_registry.js')
+const IndicatorStream = require('../indicator_stream.js')
+const OhlcSystem = require('../ohlc_system.js')
+const indicators = require('../indicators/index.js')
+
+/**
+ * Live feed of candles, calculating the indicators of each appended or updated candle with an `IndicatorStream`
+ * and pushing the row to the connected pages as Server-Sent Events (https://html.spec.whatwg.org/multipage/server-sent-events.html):
+ * - `append` - a new row
+ * - `update` - the still-forming last row, replaced
+ * Each event has the row index as its id and the row as JSON data: `{ index, date, timestamp, open, ..., <indicator outputs> }`.
+ * A newly connected page is first sent the most recent `history` rows as `append` events.
+ */
+module.exports = class LiveFeed {
+  /**
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, or 'naive' to re-scan each window
+   * @param params object of indicator parameter overrides keyed by indicator name
+   * @param registry the indicators to calculate
+   * @param history the number of recent rows sent to a newly connected page
+   */
+  constructor (window, { kernel = 'incremental', params = {}, registry = indicators, history = 200 } = {}) {
+    this.ohlcSystem = new OhlcSystem(1024, registry)
+    this.stream = new IndicatorStream(window, kernel, params, registry)
+    this.history = history
+    this.clients = new Set()
+  }
+
+  /**
+   * Load the candles before the live ones, calculating them in one pass rather than one row at a time.
+   * @param candles the candles, in chronological order
+   */
+  load (candles) {
+    candles.forEach(candle => this.ohlcSystem.append(candle))
+    if (this.ohlcSystem.length > 0) {
+      this.stream.soa(this.ohlcSystem, this.ohlcSystem.length - 1) // catches up on the rows before the last
+    }
+  }
+
+  /**
+   * @param candle the `{ timestamp, open, high, low, close, volume }` values of the candle
+   * @param update true to replace the still-forming last candle rather than append one
+   * @returns the index of the row
+   */
+  append (candle, { update = false } = {}) {
+    const index = this.ohlcSystem.append(candle, this.stream, { update })
+    const row = this.row(index)
+    for (const response of this.clients) {
+      LiveFeed.send(response, update ? 'update' : 'append', row)
+    }
+    return index
+  }
+
+  /**
+   * @returns the row of the system at the index, with its timestamp formatted as `date`
+   */
+  row (index) {
+    const row = { index, date: ChartUtils.formatTimestamp(this.ohlcSystem.timestamps[index]) }
+    for (const field of this.ohlcSystem.fields) {
+      row[field] = this.ohlcSystem[IndicatorRegistry.componentName(field)][index]
+    }
+    return row
+  }
+
+  /**
+   * Server route of the event stream: send the recent rows, then each row as it is calculated until the page disconnects.
+   */
+  subscribe (request, response) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    response.write('retry: 2000\n\n')
+    for (let i = Math.max(0, this.ohlcSystem.length - this.history); i < this.ohlcSystem.length; ++i) {
+      LiveFeed.send(response, 'append', this.row(i))
+    }
+    this.clients.add(response)
+    logger.info(`liveFeed: connected, clients=${this.clients.size}`)
+    request.on('close', () => {
+      this.clients.delete(response)
+      logger.info(`liveFeed: disconnected, clients=${this.clients.size}`)
+    })
+  }
+
+  close () {
+    for (const response of this.clients) {
+      response.end()
+    }
+    this.clients.clear()
+  }
+
+  static send (response, event, row) {
+    response.write(`id: ${row.index}\nevent: ${event}\ndata: ${JSON.stringify(row)}\n\n`)
+  }
+}
@@ -0,0 +1,42 @@
+const { parentPort, workerData } = require('worker_threads')
+const OhlcSystem = require('../ohlc_system.js')
+
+/**
+ * Worker thread of a `WorkerPool`, calculating indicator components in place in a shared `OhlcSystem` arena.
+ * Posts `{ ready: true }` once the registry module is loaded.
+ * Messages:
+ * - `{ type: 'attach', buffer, capacity }` - map the components onto the SharedArrayBuffer of the system
+ * - `{ type: 'calculate', name, length, params }` - run the SoA kernel of the named indicator, replying `{}` or `{ error }`
+ */
+const registry = require(workerData.registryFilename)
+parentPort.postMessage({ ready: true }) // the registry loaded, so the pool counts the worker as started
+let ohlcSystem = null
+let attachError = null
+
+parentPort.on('message', message => {
+  if (message.type === 'attach') {
+    // attach is not replied to, so an error is reported by the next calculate
+    try {
+      ohlcSystem = new OhlcSystem(message.capacity, registry, { buffer: message.buffer })
+      attachError = null
+    } catch (err) {
+      ohlcSystem = null
+      attachError = err
+    }
+    return
+  }
+  try {
+    if (attachError) {
+      throw attachError
+    }
+    const indicator = registry.get(message.name)
+    if (!indicator) {
+      throw new Error(`indicator is not registered in the worker: ${message.name}`)
+    }
+    ohlcSystem.length = message.length
+    indicator.soa(ohlcSystem, message.params)
+    parentPort.postMessage({})
+  } catch (err) {
+    parentPort.postMessage({ error: err.message })
+  }
+})
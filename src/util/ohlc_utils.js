@@ -3,71 +3,75 @@ const parse = require('csv-parse')
 const { finished } = require('stream/promises')
 const AlgUtils = require('./alg_utils.js')
 const FileUtils = require('./file_utils.js')
+const CsvSchema = require('../csv_schema.js')
+const CsvTokenizer = require('./csv_tokenizer.js')
 const Ohlc = require('../ohlc.js')
 const OhlcSystem = require('../ohlc_system.js')
 
 module.exports = class OhlcUtils {
-  static async parseOhlcsFromCsv (csvFilename, capacity = 0) {
+  static async parseOhlcsFromCsv (csvFilename, capacity = 0, schema = CsvSchema.fromEnv()) {
     return process.env.USE_OPTIMIZED_CSV_PARSE === 'true'
-      ? OhlcUtils.parseOhlcsFromCsvWithCustom(csvFilename, capacity)
-      : OhlcUtils.parseOhlcsFromCsvWithLib(csvFilename, capacity)
+      ? OhlcUtils.parseOhlcsFromCsvWithCustom(csvFilename, capacity, schema)
+      : OhlcUtils.parseOhlcsFromCsvWithLib(csvFilename, capacity, schema)
   }
 
-  static async parseOhlcsFromCsvWithLib (csvFilename, capacity = 0) {
+  static async parseOhlcsFromCsvWithLib (csvFilename, capacity = 0, schema = CsvSchema.fromEnv()) {
     const ohlcs = new Array(capacity)
     const parser = fs
       .createReadStream(csvFilename)
-      .pipe(OhlcUtils.parseAndCastCsvRowWithLib())
+      .pipe(OhlcUtils.parseAndCastCsvRowWithLib(schema))
       .on('readable', () => {
         let data
         while ((data = parser.read()) !== null) {
-          ohlcs.push(new Ohlc(data))
+          ohlcs.push(new Ohlc(OhlcUtils.castCsvRowWithLib(data)))
         }
       })
     await finished(parser)
-    return ohlcs.filter(e => e).reverse()
+    return OhlcUtils.finishParseOhlcsFromCsv(ohlcs, schema)
   }
 
-  static parseOhlcsFromCsvWithCustom (csvFilename, capacity = 0) {
+  static parseOhlcsFromCsvWithCustom (csvFilename, capacity = 0, schema = CsvSchema.fromEnv()) {
     const ohlcs = new Array(capacity)
     const appendOhlcFunc = ohlc => {
       ohlcs.push(new Ohlc(ohlc))
     }
-    const finishFunc = () => OhlcUtils.finishParseOhlcsFromCsv(ohlcs)
-    return OhlcUtils.parseFromCsvWithCustom(csvFilename, appendOhlcFunc, finishFunc)
+    const finishFunc = () => OhlcUtils.finishParseOhlcsFromCsv(ohlcs, schema)
+    return OhlcUtils.parseFromCsvWithCustom(csvFilename, appendOhlcFunc, finishFunc, schema)
   }
 
-  static async parseOhlcSystemFromCsv (csvFilename, capacity = 0) {
+  static async parseOhlcSystemFromCsv (csvFilename, capacity = 0, registry = undefined, schema = CsvSchema.fromEnv()) {
     const checkedCapacity = capacity === 0 ? await FileUtils.lineCount(csvFilename) : capacity
     return process.env.USE_OPTIMIZED_CSV_PARSE === 'true'
-      ? OhlcUtils.parseOhlcSystemFromCsvWithCustom(csvFilename, checkedCapacity)
-      : OhlcUtils.parseOhlcSystemFromCsvWithLib(csvFilename, checkedCapacity)
+      ? OhlcUtils.parseOhlcSystemFromCsvWithCustom(csvFilename, checkedCapacity, registry, schema)
+      : OhlcUtils.parseOhlcSystemFromCsvWithLib(csvFilename, checkedCapacity, registry, schema)
   }
 
-  static async parseOhlcSystemFromCsvWithLib (csvFilename, capacity) {
-    const ohlcSystem = new OhlcSystem(capacity)
+  static async parseOhlcSystemFromCsvWithLib (csvFilename, capacity, registry = undefined, schema = CsvSchema.fromEnv()) {
+    const ohlcSystem = new OhlcSystem(capacity, registry)
     const parser = fs
       .createReadStream(csvFilename)
-      .pipe(OhlcUtils.parseAndCastCsvRowWithLib())
+      .pipe(OhlcUtils.parseAndCastCsvRowWithLib(schema))
       .on('readable', () => {
         let data
         while ((data = parser.read()) !== null) {
+          data = OhlcUtils.castCsvRowWithLib(data)
           const i = ohlcSystem.length
           ohlcSystem.opens[i] = data.open
           ohlcSystem.highs[i] = data.high
           ohlcSystem.lows[i] = data.low
           ohlcSystem.closes[i] = data.close
           ohlcSystem.volumes[i] = data.volume
-          ohlcSystem.dates[i] = data.date
+          ohlcSystem.timestamps[i] = data.timestamp
+          ohlcSystem.lines[i] = data.line
           ++ohlcSystem.length
         }
       })
     await finished(parser)
-    return OhlcUtils.finishParseOhlcSystemFromCsv(ohlcSystem)
+    return OhlcUtils.finishParseOhlcSystemFromCsv(ohlcSystem, schema)
   }
 
-  static parseOhlcSystemFromCsvWithCustom (csvFilename, capacity) {
-    const ohlcSystem = new OhlcSystem(capacity)
+  static parseOhlcSystemFromCsvWithCustom (csvFilename, capacity, registry = undefined, schema = CsvSchema.fromEnv()) {
+    const ohlcSystem = new OhlcSystem(capacity, registry)
     const appendOhlcFunc = ohlc => {
       const i = ohlcSystem.length
       ohlcSystem.opens[i] = ohlc.open
@@ -75,122 +79,133 @@ module.exports = class OhlcUtils {
       ohlcSystem.lows[i] = ohlc.low
       ohlcSystem.closes[i] = ohlc.close
       ohlcSystem.volumes[i] = ohlc.volume
-      ohlcSystem.dates[i] = ohlc.date
+      ohlcSystem.timestamps[i] = ohlc.timestamp
+      ohlcSystem.lines[i] = ohlc.line
       ++ohlcSystem.length
     }
-    const finishFunc = () => OhlcUtils.finishParseOhlcSystemFromCsv(ohlcSystem)
-    return OhlcUtils.parseFromCsvWithCustom(csvFilename, appendOhlcFunc, finishFunc)
+    const finishFunc = () => OhlcUtils.finishParseOhlcSystemFromCsv(ohlcSystem, schema)
+    return OhlcUtils.parseFromCsvWithCustom(csvFilename, appendOhlcFunc, finishFunc, schema)
   }
 
-  static parseFromCsvWithCustom (csvFilename, appendOhlcFunc, finishFunc) {
+  /**
+   * Parse the rows of a CSV file in file order, passing each to a callback, with the parser selected by `USE_OPTIMIZED_CSV_PARSE`.
+   * @param csvFilename the CSV file to parse
+   * @param appendOhlcFunc called with each row as `{ timestamp, line, open, high, low, close, volume }`, reused between rows
+   * @param finishFunc called after the last row, returning the result
+   * @param schema the layout of the CSV file
+   * @returns promise of the result of `finishFunc`
+   */
+  static parseFromCsv (csvFilename, appendOhlcFunc, finishFunc, schema = CsvSchema.fromEnv()) {
+    return process.env.USE_OPTIMIZED_CSV_PARSE === 'true'
+      ? OhlcUtils.parseFromCsvWithCustom(csvFilename, appendOhlcFunc, finishFunc, schema)
+      : OhlcUtils.parseFromCsvWithLib(csvFilename, appendOhlcFunc, finishFunc, schema)
+  }
+
+  static async parseFromCsvWithLib (csvFilename, appendOhlcFunc, finishFunc, schema = CsvSchema.fromEnv()) {
+    const parser = fs
+      .createReadStream(csvFilename)
+      .pipe(OhlcUtils.parseAndCastCsvRowWithLib(schema))
+      .on('readable', () => {
+        let data
+        while ((data = parser.read()) !== null) {
+          appendOhlcFunc(OhlcUtils.castCsvRowWithLib(data))
+        }
+      })
+    await finished(parser)
+    return finishFunc()
+  }
+
+  static parseFromCsvWithCustom (csvFilename, appendOhlcFunc, finishFunc, schema = CsvSchema.fromEnv()) {
     return new Promise((resolve, reject) => {
       const readStream = fs.createReadStream(csvFilename)
-      let lineCount = 0; let colIndex = 0
-      const csvFromLine = +process.env.CSV_FROM_LINE - 1
-      const colText = Buffer.allocUnsafe(+process.env.CSV_COL_BUFFER_SIZE)
-      let colTextSize = 0
-      const ohlc = { date: '', open: 0.0, high: 0.0, low: 0.0, close: 0.0, volume: 0.0 }
+      const fields = schema.fields
+      const ohlc = { timestamp: 0.0, line: 0, open: 0.0, high: 0.0, low: 0.0, close: 0.0, volume: 0.0 }
+      // parse rows using `ohlc` as a row builder
+      const tokenizer = new CsvTokenizer({
+        delimiter: schema.delimiter,
+        fieldBufferSize: +process.env.CSV_COL_BUFFER_SIZE || undefined, // the tokenizer default when unset
+        onField: (colIndex, bytes, start, end, lineNumber) => {
+          const field = fields[colIndex]
+          if (lineNumber >= schema.fromLine && field) {
+            const str = bytes.toString('ascii', start, end).trim()
+            ohlc[field] = field === 'timestamp' ? schema.parseTimestamp(str) : parseFloat(str)
+          }
+        },
+        onRecord: (colCount, lineNumber) => {
+          if (lineNumber >= schema.fromLine) {
+            if (colCount !== schema.columnCount) {
+              throw new Error(`CSV file is invalid: bad line ${lineNumber}: colCount=${colCount}`)
+            }
+            ohlc.line = lineNumber
+            appendOhlcFunc(ohlc)
+          }
+        }
+      })
       readStream.on('readable', () => {
-        let cursor = 0; let nextCursor = 0
         let buffer
-        while ((buffer = readStream.read()) != null) {
-          let delimIndex = -1; let lineIndex = -1
-
-          const parseCol = (isLineEnd) => {
-            if (lineCount >= csvFromLine) {
-              if (isLineEnd && colIndex !== 7) {
-                throw new Error(`CSV file is invalid: bad line ${lineCount}: colIndex=${colIndex}`)
-              }
-              buffer.copy(colText, colTextSize, cursor, nextCursor)
-              const str = colText.toString('ascii', 0, colTextSize + (nextCursor - cursor)).trim()
-              switch (colIndex++) {
-                case 0: break
-                case 1: ohlc.date = str.split(' ')[0]; break
-                case 2: break
-                case 3: ohlc.open = parseFloat(str); break
-                case 4: ohlc.high = parseFloat(str); break
-                case 5: ohlc.low = parseFloat(str); break
-                case 6: ohlc.close = parseFloat(str); break
-                case 7:
-                  ohlc.volume = parseFloat(str)
-                  appendOhlcFunc(ohlc)
-                  colIndex = 0
-                  break
-              }
-              colTextSize = 0
-            }
-            cursor = nextCursor + 1
+        try {
+          while ((buffer = readStream.read()) != null) {
+            tokenizer.write(buffer)
           }
-
-          // parse rows using `ohlc` as a row builder
-          do {
-            lineIndex = buffer.indexOf(10, lineIndex + 1)
-            do {
-              delimIndex = buffer.indexOf(44, delimIndex + 1) // `,` is value 44
-              nextCursor = Math.max(0, Math.min(
-                lineIndex === -1 ? delimIndex : lineIndex,
-                delimIndex === -1 ? lineIndex : delimIndex
-              ))
-
-              if (nextCursor === lineIndex) {
-                parseCol(true)
-                ++lineCount
-                lineIndex = buffer.indexOf(10, lineIndex + 1)
-                nextCursor = Math.max(0, delimIndex)
-              }
-
-              if (nextCursor === delimIndex) {
-                parseCol(false)
-              }
-            } while (delimIndex !== -1)
-
-            nextCursor = Math.max(0, lineIndex)
-            if (nextCursor === lineIndex) {
-              parseCol(true)
-              ++lineCount
-            }
-          } while (lineIndex !== -1)
-
-          // capture the end of the buffer before wrapping to the next
-          buffer.copy(colText, colTextSize, cursor, buffer.length)
-          colTextSize = buffer.length - cursor
+        } catch (err) {
+          readStream.destroy()
+          reject(err)
         }
       })
       readStream.on('end', () => {
-        resolve(finishFunc())
+        try {
+          tokenizer.end()
+          resolve(finishFunc())
+        } catch (err) {
+          reject(err)
+        }
       })
       readStream.on('error', reject)
     })
   }
 
-  static parseAndCastCsvRowWithLib () {
+  static parseAndCastCsvRowWithLib (schema = CsvSchema.fromEnv()) {
     return parse({
       encoding: 'utf8',
-      from_line: +process.env.CSV_FROM_LINE,
-      delimiter: ',',
+      from_line: schema.fromLine,
+      delimiter: schema.delimiter,
       trim: true,
-      columns: [null, 'date', null, 'open', 'high', 'low', 'close', 'volume'],
+      info: true,
+      columns: schema.fields,
       cast: (value, context) => {
-        switch (context.index) {
-          case 1: return value.split(' ')[0]
-          case 3: case 4: case 5: case 6: case 7: return parseFloat(value)
-          default: return value
+        switch (schema.fields[context.index]) {
+          case null: return value
+          case 'timestamp': return schema.parseTimestamp(value)
+          default: return parseFloat(value)
         }
       }
     })
   }
 
-  static finishParseOhlcsFromCsv (ohlcs) {
-    return ohlcs.filter(e => e).reverse()
+  /**
+   * @param data a row read from `parseAndCastCsvRowWithLib`
+   * @returns the row as `{ timestamp, line, open, high, low, close, volume }`
+   */
+  static castCsvRowWithLib ({ record, info }) {
+    return Object.assign({}, record, { line: info.lines })
   }
 
-  static finishParseOhlcSystemFromCsv (ohlcSystem) {
+  static finishParseOhlcsFromCsv (ohlcs, schema = CsvSchema.fromEnv()) {
+    const filtered = ohlcs.filter(e => e)
+    return schema.newestFirst ? filtered.reverse() : filtered
+  }
+
+  static finishParseOhlcSystemFromCsv (ohlcSystem, schema = CsvSchema.fromEnv()) {
+    if (!schema.newestFirst) {
+      return ohlcSystem
+    }
     AlgUtils.reverseMinLength(ohlcSystem.opens, ohlcSystem.length)
     AlgUtils.reverseMinLength(ohlcSystem.highs, ohlcSystem.length)
     AlgUtils.reverseMinLength(ohlcSystem.lows, ohlcSystem.length)
     AlgUtils.reverseMinLength(ohlcSystem.closes, ohlcSystem.length)
     AlgUtils.reverseMinLength(ohlcSystem.volumes, ohlcSystem.length)
-    ohlcSystem.dates = ohlcSystem.dates.filter(e => e).reverse()
+    AlgUtils.reverseMinLength(ohlcSystem.timestamps, ohlcSystem.length)
+    AlgUtils.reverseMinLength(ohlcSystem.lines, ohlcSystem.length)
     return ohlcSystem
   }
 }
@@ -0,0 +1,96 @@
+/**
+ * P² (piecewise-parabolic) estimator of a quantile (Jain and Chlamtac, 1985: https://www.cse.wustl.edu/~jain/papers/ftp/psqr.pdf),
+ * for streaming mode: each value updates five markers in O(1), without storing the values.
+ * The markers are the minimum, the maximum, the quantile, and the quantiles halfway between them, and the height of each
+ * marker is adjusted by a parabolic (or else linear) prediction as its position drifts from the desired position.
+ * Until five values are pushed the quantile is exact. NaN values are ignored.
+ * The estimate assumes the values arrive in no particular order, and can drift over a trending series.
+ */
+module.exports = class P2Quantile {
+  /**
+   * @param q the quantile to estimate, from 0 to 1 (e.g. 0.5 for the median)
+   */
+  constructor (q) {
+    if (!(q >= 0 && q <= 1)) {
+      throw new Error(`quantile is invalid: ${q}`)
+    }
+    this.q = q
+    this.count = 0
+    this.heights = new Float64Array(5)
+    this.positions = Float64Array.of(1, 2, 3, 4, 5)
+    this.desired = Float64Array.of(1, 1 + 2 * q, 1 + 4 * q, 3 + 2 * q, 5)
+    this.increments = Float64Array.of(0, q / 2, q, (1 + q) / 2, 1)
+  }
+
+  push (value) {
+    if (Number.isNaN(value)) {
+      return
+    }
+    const heights = this.heights
+    const positions = this.positions
+    if (this.count < 5) {
+      heights[this.count++] = value
+      if (this.count === 5) {
+        heights.sort()
+      }
+      return
+    }
+    ++this.count
+
+    // the cell k of the value, between the markers k and k + 1, extending the minimum or maximum
+    let k = 0
+    if (value < heights[0]) {
+      heights[0] = value
+    } else if (value >= heights[4]) {
+      heights[4] = value
+      k = 3
+    } else {
+      while (value >= heights[k + 1]) {
+        ++k
+      }
+    }
+    for (let i = k + 1; i < 5; ++i) {
+      ++positions[i]
+    }
+    for (let i = 0; i < 5; ++i) {
+      this.desired[i] += this.increments[i]
+    }
+
+    for (let i = 1; i <= 3; ++i) {
+      const d = this.desired[i] - positions[i]
+      if ((d >= 1 && positions[i + 1] - positions[i] > 1) || (d <= -1 && positions[i - 1] - positions[i] < -1)) {
+        const sign = d > 0 ? 1 : -1
+        let height = this.parabolic(i, sign)
+        if (!(heights[i - 1] < height && height < heights[i + 1])) {
+          height = heights[i] + sign * (heights[i + sign] - heights[i]) / (positions[i + sign] - positions[i])
+        }
+        heights[i] = height
+        positions[i] += sign
+      }
+    }
+  }
+
+  parabolic (i, sign) {
+    const heights = this.heights
+    const positions = this.positions
+    return heights[i] + sign / (positions[i + 1] - positions[i - 1]) * (
+      (positions[i] - positions[i - 1] + sign) * (heights[i + 1] - heights[i]) / (positions[i + 1] - positions[i]) +
+      (positions[i + 1] - positions[i] - sign) * (heights[i] - heights[i - 1]) / (positions[i] - positions[i - 1]))
+  }
+
+  /**
+   * @returns the estimated quantile of the values pushed, or NaN if there are none
+   */
+  value () {
+    if (this.count === 0) {
+      return NaN
+    } else if (this.count >= 5) {
+      return this.heights[2]
+    }
+    // the exact quantile of the first values, interpolated between the closest ranks
+    const sorted = this.heights.slice(0, this.count).sort()
+    const rank = (this.count - 1) * this.q
+    const lower = Math.floor(rank)
+    return lower + 1 < this.count ? sorted[lower] + (rank - lower) * (sorted[lower + 1] - sorted[lower]) : sorted[lower]
+  }
+}
@@ -0,0 +1,166 @@
+const P2Quantile = require('./p2_quantile.js')
+
+/**
+ * Quantiles of the values of a column, by one of the methods:
+ * - `sort` - exact, sorting a copy of the values in O(n log n)
+ * - `select` - exact, selecting the ranks of a copy of the values with introselect in O(n)
+ * - `p2` - estimated in one pass in O(1) memory, as values arrive in streaming mode (see `P2Quantile`)
+ * The exact quantiles are interpolated linearly between the closest ranks (as the default of R and NumPy), so the median
+ * of an even number of values is the mean of the two middle values. NaN values (e.g. the warm-up of an indicator) are ignored.
+ */
+module.exports = class QuantileUtils {
+  static get METHODS () {
+    return ['sort', 'select', 'p2']
+  }
+
+  /**
+   * @param values the values
+   * @param length the number of values
+   * @param qs the quantiles, from 0 to 1 (e.g. `[0.25, 0.5, 0.75]`)
+   * @param method 'sort', 'select' or 'p2'
+   * @returns array of the quantiles of the values, or NaN if there are none
+   */
+  static quantiles (values, length, qs, method = 'select') {
+    for (const q of qs) {
+      if (!(q >= 0 && q <= 1)) {
+        throw new Error(`quantile is invalid: ${q}`)
+      }
+    }
+    if (method === 'p2') {
+      const estimators = qs.map(q => new P2Quantile(q))
+      for (let i = 0; i < length; ++i) {
+        for (const estimator of estimators) {
+          estimator.push(values[i])
+        }
+      }
+      return estimators.map(estimator => estimator.value())
+    }
+    if (method !== 'sort' && method !== 'select') {
+      throw new Error(`unknown quantile method: ${method}`)
+    }
+
+    const copy = QuantileUtils.copy(values, length)
+    const n = copy.length
+    if (method === 'sort') {
+      copy.sort()
+    }
+    const quantiles = new Array(qs.length).fill(NaN)
+    let left = 0
+    // select the ranks in ascending order, so each selection only partitions the values above the one before
+    for (const i of qs.map((q, i) => i).sort((a, b) => qs[a] - qs[b])) {
+      if (n === 0) {
+        break
+      }
+      const rank = (n - 1) * qs[i]
+      const lower = Math.floor(rank)
+      let value = copy[lower]
+      let upper = lower + 1 < n ? copy[lower + 1] : value
+      if (method === 'select') {
+        value = QuantileUtils.select(copy, lower, left, n - 1)
+        left = lower
+        // the values above the selected rank are partitioned but unordered, so the next rank is their minimum
+        if (rank > lower) {
+          upper = copy[lower + 1]
+          for (let j = lower + 2; j < n; ++j) {
+            upper = Math.min(upper, copy[j])
+          }
+        }
+      }
+      quantiles[i] = rank > lower ? value + (rank - lower) * (upper - value) : value
+    }
+    return quantiles
+  }
+
+  static quantile (values, length, q, method = 'select') {
+    return QuantileUtils.quantiles(values, length, [q], method)[0]
+  }
+
+  static median (values, length, method = 'select') {
+    return QuantileUtils.quantile(values, length, 0.5, method)
+  }
+
+  /**
+   * @returns the interquartile range, the 75th percentile less the 25th percentile
+   */
+  static iqr (values, length, method = 'select') {
+    const [p25, p75] = QuantileUtils.quantiles(values, length, [0.25, 0.75], method)
+    return p75 - p25
+  }
+
+  /**
+   * Introselect (https://en.wikipedia.org/wiki/Introselect): quickselect with a median-of-three pivot, falling back to
+   * sorting the range if the partitions fail to shrink it fast enough, so the worst case is O(n log n) rather than O(n²).
+   * Reorders the values so the value of rank k is at index k, with the values before it no greater and those after it no less.
+   * @param values the values (without NaN)
+   * @param k the rank to select
+   * @param left the first index of the range containing the rank
+   * @param right the last index of the range containing the rank
+   * @returns the value of rank k
+   */
+  static select (values, k, left = 0, right = values.length - 1) {
+    let depth = 2 * Math.ceil(Math.log2(right - left + 2))
+    while (left < right) {
+      if (depth-- === 0) {
+        values.subarray(left, right + 1).sort()
+        break
+      }
+      // order the first, middle and last values, pivoting on their median
+      const middle = left + ((right - left) >> 1)
+      if (values[middle] < values[left]) {
+        QuantileUtils.swap(values, middle, left)
+      }
+      if (values[right] < values[left]) {
+        QuantileUtils.swap(values, right, left)
+      }
+      if (values[right] < values[middle]) {
+        QuantileUtils.swap(values, right, middle)
+      }
+      const pivot = values[middle]
+
+      // Hoare partition: the values up to j are no greater than the pivot, and the values from i are no less
+      let i = left
+      let j = right
+      while (i <= j) {
+        while (values[i] < pivot) {
+          ++i
+        }
+        while (values[j] > pivot) {
+          --j
+        }
+        if (i <= j) {
+          QuantileUtils.swap(values, i, j)
+          ++i
+          --j
+        }
+      }
+      if (k <= j) {
+        right = j
+      } else if (k >= i) {
+        left = i
+      } else {
+        break // the values between j and i equal the pivot
+      }
+    }
+    return values[k]
+  }
+
+  static swap (values, i, j) {
+    const temp = values[i]
+    values[i] = values[j]
+    values[j] = temp
+  }
+
+  /**
+   * @returns a Float64Array copy of the values which are not NaN
+   */
+  static copy (values, length) {
+    const copy = new Float64Array(length)
+    let n = 0
+    for (let i = 0; i < length; ++i) {
+      if (!Number.isNaN(values[i])) {
+        copy[n++] = values[i]
+      }
+    }
+    return n < length ? copy.subarray(0, n) : copy
+  }
+}
@@ -0,0 +1,118 @@
+const EventEmitter = require('events')
+const logger = require('./logger.js')
+const OhlcUtils = require('./ohlc_utils.js')
+
+/**
+ * Source of live candles replaying parsed candles at the pace of their timestamps, scaled by `speed`, to demo and test
+ * live behaviour offline. Emits:
+ * - `'candle', candle, { update }` - each candle, as `{ timestamp, open, high, low, close, volume }`; with `ticks` greater than 1,
+ *   each candle is first emitted while still forming (`update` is false for the first tick and true for the rest)
+ * - `'end'` - after the last candle
+ * - `'error', err` - when a `'candle'` handler throws (logged instead when there is no listener); the replay continues with the next tick
+ * The forming values are simulated: the close moves linearly from the open to the final close, the high and low
+ * extend to include it, and the volume accumulates, with the final tick emitting the candle as parsed.
+ */
+module.exports = class ReplaySource extends EventEmitter {
+  /**
+   * @param candles the candles to replay, in chronological order
+   * @param speed the playback speed relative to the timestamps, e.g. 3600 to replay an hour per second
+   * @param ticks the number of times each candle is emitted, the first `ticks - 1` times while still forming
+   * @param start the epoch milliseconds from which to replay; the candles before are the `history`
+   */
+  constructor (candles, { speed = 1, ticks = 1, start = -Infinity } = {}) {
+    super()
+    if (!(speed > 0) || !(ticks >= 1)) {
+      throw new Error(`replay is invalid: speed=${speed}, ticks=${ticks}`)
+    }
+    this.candles = candles
+    this.speed = speed
+    this.ticks = Math.trunc(ticks)
+    const startIndex = candles.findIndex(candle => candle.timestamp >= start)
+    this.startIndex = startIndex === -1 ? candles.length : startIndex
+    this.index = this.startIndex
+    this.tick = 0
+    this.timer = null
+  }
+
+  /**
+   * @param csvFilename the CSV file to replay
+   * @param options the replay options (see the constructor)
+   * @returns the ReplaySource of the candles parsed from the file
+   */
+  static async fromCsv (csvFilename, options = {}) {
+    return new ReplaySource(await OhlcUtils.parseOhlcsFromCsv(csvFilename), options)
+  }
+
+  /**
+   * @returns the candles before those replayed
+   */
+  history () {
+    return this.candles.slice(0, this.startIndex)
+  }
+
+  start () {
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.next(), 0)
+    }
+    return this
+  }
+
+  stop () {
+    clearTimeout(this.timer)
+    this.timer = null
+    return this
+  }
+
+  next () {
+    if (this.index >= this.candles.length) {
+      this.timer = null
+      this.emit('end')
+      return
+    }
+    const { timestamp, open, high, low, close, volume } = this.candles[this.index]
+    const duration = this.duration(this.index)
+    ++this.tick
+    let candle
+    let update
+    if (this.tick < this.ticks) {
+      const fraction = this.tick / this.ticks
+      const formingClose = open + (close - open) * fraction
+      candle = {
+        timestamp,
+        open,
+        high: Math.max(open, formingClose),
+        low: Math.min(open, formingClose),
+        close: formingClose,
+        volume: volume * fraction
+      }
+      update = this.tick > 1
+    } else {
+      candle = { timestamp, open, high, low, close, volume }
+      update = this.ticks > 1
+      this.tick = 0
+      ++this.index
+    }
+    // scheduled before emitting, so neither a throwing handler nor one calling `stop` leaves the replay in a bad state
+    this.timer = setTimeout(() => this.next(), duration / this.speed / this.ticks)
+    try {
+      this.emit('candle', candle, { update })
+    } catch (err) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err)
+      } else { // an 'error' event without listeners would throw from the timer
+        logger.error(`replaySource: candle handler failed: ${err.message}`)
+      }
+    }
+  }
+
+  /**
+   * @returns the milliseconds until the timestamp of the next candle (or since the previous one, for the last candle)
+   */
+  duration (index) {
+    const candles = this.candles
+    if (index + 1 < candles.length) {
+      return candles[index + 1].timestamp - candles[index].timestamp
+    }
+    return index > 0 ? candles[index].timestamp - candles[index - 1].timestamp : 0
+  }
+}
@@ -0,0 +1,140 @@
+const Ohlc = require('../ohlc.js')
+const OhlcSystem = require('../ohlc_system.js')
+const ValidationUtils = require('./validation_utils.js')
+
+const UNIT_MILLIS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }
+
+/**
+ * Resampling of candles into a coarser timeframe, e.g. 1-minute candles into 5m, 15m, 1h, 4h or 1d candles.
+ * Rows are bucketed on their timestamp into buckets aligned to the Unix epoch (plus an `offset`), so that e.g. daily buckets
+ * start at midnight UTC. Each bucket becomes one candle: the first open, the max high, the min low, the last close and the
+ * summed volume, with the timestamp of the start of the bucket.
+ * - gaps - buckets without any rows are omitted, or forward-filled with the previous close and zero volume (`fill`)
+ * - partial trailing bucket - the last bucket is partial when the rows end before the bucket does, given the interval
+ *   between the source rows; it is kept (`partial`) or dropped
+ * The rows must be in chronological order without duplicates (see `ValidationUtils`).
+ */
+module.exports = class ResampleUtils {
+  /**
+   * @param timeframe the timeframe as a number and a unit of 's', 'm', 'h', 'd' or 'w', e.g. '15m' or '4h'
+   * @returns the timeframe in milliseconds
+   */
+  static parseTimeframe (timeframe) {
+    const match = /^(\d+)(s|m|h|d|w)$/.exec(String(timeframe).trim())
+    if (!match || +match[1] === 0) {
+      throw new Error(`timeframe is invalid: ${timeframe} (e.g. 5m, 15m, 1h, 4h, 1d)`)
+    }
+    return +match[1] * UNIT_MILLIS[match[2]]
+  }
+
+  /**
+   * @param ohlcSystem the OhlcSystem to resample
+   * @param interval the milliseconds of each resampled candle (see `parseTimeframe`)
+   * @param offset the milliseconds the buckets are shifted from the Unix epoch
+   * @param fill true to forward-fill the buckets without rows
+   * @param partial true to keep a partial trailing bucket
+   * @returns a new OhlcSystem of the resampled candles, with the same registry (indicators are not calculated)
+   */
+  static resampleOhlcSystem (ohlcSystem, interval, { offset = 0, fill = false, partial = true } = {}) {
+    const { opens, highs, lows, closes, volumes } = ohlcSystem
+    const buckets = ResampleUtils.buckets(ohlcSystem.timestamps, ohlcSystem.length, interval, { offset, fill, partial })
+    const resampled = new OhlcSystem(buckets.length, ohlcSystem.registry)
+    buckets.forEach(({ timestamp, from, to }, i) => {
+      resampled.timestamps[i] = timestamp
+      if (from === to) { // forward-filled from the row before
+        resampled.opens[i] = resampled.highs[i] = resampled.lows[i] = resampled.closes[i] = closes[from - 1]
+        resampled.volumes[i] = 0.0
+        return
+      }
+      let high = highs[from]
+      let low = lows[from]
+      let volume = 0.0
+      for (let j = from; j < to; ++j) {
+        high = Math.max(high, highs[j])
+        low = Math.min(low, lows[j])
+        volume += volumes[j]
+      }
+      resampled.opens[i] = opens[from]
+      resampled.highs[i] = high
+      resampled.lows[i] = low
+      resampled.closes[i] = closes[to - 1]
+      resampled.volumes[i] = volume
+    })
+    resampled.length = buckets.length
+    return resampled
+  }
+
+  /**
+   * @param ohlcs array of Ohlc values to resample
+   * @param interval the milliseconds of each resampled candle (see `parseTimeframe`)
+   * @param offset the milliseconds the buckets are shifted from the Unix epoch
+   * @param fill true to forward-fill the buckets without rows
+   * @param partial true to keep a partial trailing bucket
+   * @param registry the indicators whose output fields are initialized
+   * @returns a new array of Ohlc values of the resampled candles (indicators are not calculated)
+   */
+  static resampleOhlcs (ohlcs, interval, { offset = 0, fill = false, partial = true, registry = undefined } = {}) {
+    const timestamps = ohlcs.map(ohlc => ohlc.timestamp)
+    return ResampleUtils.buckets(timestamps, ohlcs.length, interval, { offset, fill, partial }).map(({ timestamp, from, to }) => {
+      if (from === to) {
+        const close = ohlcs[from - 1].close
+        return new Ohlc({ timestamp, open: close, high: close, low: close, close, volume: 0.0 }, registry)
+      }
+      let high = ohlcs[from].high
+      let low = ohlcs[from].low
+      let volume = 0.0
+      for (let j = from; j < to; ++j) {
+        const ohlc = ohlcs[j]
+        high = Math.max(high, ohlc.high)
+        low = Math.min(low, ohlc.low)
+        volume += ohlc.volume
+      }
+      return new Ohlc({ timestamp, open: ohlcs[from].open, high, low, close: ohlcs[to - 1].close, volume }, registry)
+    })
+  }
+
+  /**
+   * @param timestamps the ascending timestamps of the rows
+   * @param length the number of rows
+   * @param interval the milliseconds of each bucket
+   * @returns array of `{ timestamp, from, to }` for each bucket, containing the rows `[from, to)`
+   * (a forward-filled bucket is empty, with `from === to` following the row it is filled from)
+   */
+  static buckets (timestamps, length, interval, { offset = 0, fill = false, partial = true } = {}) {
+    if (!(interval > 0)) {
+      throw new Error(`resample interval is invalid: ${interval}`)
+    }
+    for (let i = 0; i < length; ++i) {
+      if (!Number.isFinite(timestamps[i]) || (i > 0 && !(timestamps[i] > timestamps[i - 1]))) {
+        throw new Error(`rows are not in chronological order at row ${i}: validate with repair before resampling`)
+      }
+    }
+    const sourceInterval = ValidationUtils.mostCommonInterval(timestamps.slice(0, length))
+    if (sourceInterval > interval) {
+      throw new Error(`resample interval ${interval}ms is finer than the interval between the rows ${sourceInterval}ms`)
+    }
+
+    const buckets = []
+    for (let from = 0; from < length;) {
+      const timestamp = Math.floor((timestamps[from] - offset) / interval) * interval + offset
+      if (fill && buckets.length > 0) {
+        for (let gap = buckets[buckets.length - 1].timestamp + interval; gap < timestamp; gap += interval) {
+          buckets.push({ timestamp: gap, from, to: from })
+        }
+      }
+      let to = from + 1
+      while (to < length && timestamps[to] < timestamp + interval) {
+        ++to
+      }
+      buckets.push({ timestamp, from, to })
+      from = to
+    }
+
+    // the last bucket is partial if its last row ends before the bucket does
+    const last = buckets[buckets.length - 1]
+    if (!partial && last && !(sourceInterval && timestamps[length - 1] + sourceInterval >= last.timestamp + interval)) {
+      buckets.pop()
+    }
+    return buckets
+  }
+}
@@ -0,0 +1,215 @@
+const ChartUtils = require('./chart_utils.js')
+const Backtester = require('../backtester.js')
+const IndicatorRegistry = require('../indicator_registry.js')
+
+const MAX_TRADES = 1000 // the most recent trades of a backtest response
+
+/**
+ * JSON query API over the components of a calculated OhlcSystem, so the chart pages can zoom and pan over every row
+ * rather than the samples pre-written by `ChartUtils`, and strategies can be backtested without re-running the benchmark:
+ * - `/api/columns` - the components, row count and time range of the system, and the charts of its registry
+ * - `/api/series?columns=closes,rsis&from=2021-01-01&to=2021-02-01&maxPoints=2000` - the components of the rows from `from`
+ *   to `to` (inclusive ISO dates or epoch milliseconds, by default the first and last rows), downsampled to `maxPoints`
+ *   by `downsample` (see `ChartUtils.DOWNSAMPLE_METHODS`), selecting the rows on the first column
+ * - `/api/backtest?entry=rsis < 30&exit=rsis > 70&fee=0.001&slippage=0.0005&size=1&capital=10000` - a backtest of the rows from
+ *   `from` to `to` (see `Backtester`), with its statistics, the most recent trades and the downsampled equity curve; the rules and
+ *   options default to those of the config
+ * A series has the shape of the chart data written by `ChartUtils`, with the range it covers:
+ * `{ from, to, length, dates, <component>: [...] }`, where `length` is the number of rows in the range before downsampling.
+ * The rows must be in chronological order (see `ValidationUtils`), as the range is found by binary search on the timestamps.
+ * Invalid queries respond with status 400 and `{ error }`.
+ */
+module.exports = class SeriesApi {
+  /**
+   * @param ohlcSystem the calculated OhlcSystem to query
+   * @param maxPoints the default maximum number of points of a series
+   * @param downsample the default downsampling method
+   * @param backtest the default `entry` and `exit` rules and `Backtester` options of a backtest
+   */
+  constructor (ohlcSystem, { maxPoints = 2000, downsample = 'sample', backtest = {} } = {}) {
+    this.ohlcSystem = ohlcSystem
+    this.maxPoints = maxPoints
+    this.downsample = downsample
+    this.backtestDefaults = backtest
+    this.components = ohlcSystem.fields.map(IndicatorRegistry.componentName)
+  }
+
+  /**
+   * @returns the server routes of the API (see `Server.start`)
+   */
+  routes () {
+    return {
+      '/api/columns': (request, response) => SeriesApi.respond(response, () => this.columns()),
+      '/api/series': (request, response) => SeriesApi.respond(response, () => {
+        const query = new URL(request.url, 'http://localhost').searchParams
+        return this.series({
+          columns: query.has('columns') ? query.get('columns').split(',').map(column => column.trim()) : undefined,
+          ...SeriesApi.parseRange(query)
+        })
+      }),
+      '/api/backtest': (request, response) => SeriesApi.respond(response, () => {
+        const query = new URL(request.url, 'http://localhost').searchParams
+        const options = {}
+        for (const key of ['entry', 'exit']) {
+          if (query.get(key)) {
+            options[key] = query.get(key)
+          }
+        }
+        for (const key of ['fee', 'slippage', 'size', 'capital']) {
+          if (query.get(key)) {
+            options[key] = +query.get(key)
+          }
+        }
+        return this.backtest({ ...this.backtestDefaults, ...options, ...SeriesApi.parseRange(query) })
+      })
+    }
+  }
+
+  columns () {
+    const { timestamps, length, registry } = this.ohlcSystem
+    return {
+      columns: this.components,
+      length,
+      from: length > 0 ? timestamps[0] : null,
+      to: length > 0 ? timestamps[length - 1] : null,
+      charts: ChartUtils.charts(registry)
+    }
+  }
+
+  /**
+   * @param columns the component names, e.g. `['closes', 'rsis']`
+   * @param from the epoch milliseconds of the first row
+   * @param to the epoch milliseconds of the last row
+   * @param maxPoints the maximum number of points, downsampling a longer range
+   * @param downsample the downsampling method
+   * @returns the series of the components in the range
+   */
+  series ({ columns = ['closes'], from = -Infinity, to = Infinity, maxPoints = this.maxPoints, downsample = this.downsample } = {}) {
+    const unknown = columns.filter(column => !this.components.includes(column))
+    if (unknown.length > 0) {
+      throw new Error(`columns are unknown: ${unknown.join(',')} (see /api/columns)`)
+    }
+    SeriesApi.checkRange(from, to, maxPoints)
+
+    const ohlcSystem = this.ohlcSystem
+    const start = SeriesApi.lowerBound(ohlcSystem.timestamps, ohlcSystem.length, from)
+    const end = SeriesApi.lowerBound(ohlcSystem.timestamps, ohlcSystem.length, to, true)
+    const length = end - start
+    const values = ohlcSystem[columns.length > 0 ? columns[0] : 'closes'].subarray(start, end)
+    const indices = ChartUtils.downsampleIndices(downsample, values, length, maxPoints)
+    const pick = component => indices.map(i => ohlcSystem[component][start + i])
+    const series = {
+      from: length > 0 ? ohlcSystem.timestamps[start] : null,
+      to: length > 0 ? ohlcSystem.timestamps[end - 1] : null,
+      length,
+      dates: pick('timestamps').map(ChartUtils.formatTimestamp)
+    }
+    for (const column of columns) {
+      series[column] = pick(column)
+    }
+    return series
+  }
+
+  /**
+   * @param entry the rule entering a position (see `Rule`)
+   * @param exit the rule exiting the position
+   * @param options the `Backtester` options: `fee`, `slippage`, `size` and `capital`
+   * @returns the backtest of the rows in the range: `{ entry, exit, options, stats, trades, from, to, length, dates, equities, drawdowns, closes }`,
+   * with the most recent `MAX_TRADES` trades and the rows downsampled on the equity
+   */
+  backtest ({ entry, exit, from = -Infinity, to = Infinity, maxPoints = this.maxPoints, downsample = this.downsample, ...options } = {}) {
+    if (!entry || !exit) {
+      throw new Error('backtest requires entry and exit rules, e.g. entry=rsis < 30&exit=rsis > 70 (or BACKTEST_ENTRY and BACKTEST_EXIT)')
+    }
+    SeriesApi.checkRange(from, to, maxPoints)
+    const ohlcSystem = this.ohlcSystem
+    const backtester = new Backtester(options)
+    const result = backtester.run(ohlcSystem, entry, exit, {
+      start: SeriesApi.lowerBound(ohlcSystem.timestamps, ohlcSystem.length, from),
+      end: SeriesApi.lowerBound(ohlcSystem.timestamps, ohlcSystem.length, to, true)
+    })
+    const { start, end, equities, drawdowns } = result
+    const indices = ChartUtils.downsampleIndices(downsample, equities, equities.length, maxPoints)
+    return {
+      entry,
+      exit,
+      options: { fee: backtester.fee, slippage: backtester.slippage, size: backtester.size, capital: backtester.capital },
+      stats: result.stats,
+      trades: result.trades.slice(-MAX_TRADES),
+      from: end > start ? ohlcSystem.timestamps[start] : null,
+      to: end > start ? ohlcSystem.timestamps[end - 1] : null,
+      length: equities.length,
+      dates: indices.map(i => ChartUtils.formatTimestamp(ohlcSystem.timestamps[start + i])),
+      equities: indices.map(i => equities[i]),
+      drawdowns: indices.map(i => drawdowns[i]),
+      closes: indices.map(i => ohlcSystem.closes[start + i])
+    }
+  }
+
+  /**
+   * @returns the `from`, `to`, `maxPoints` and `downsample` parameters of a query (empty parameters take their defaults)
+   */
+  static parseRange (query) {
+    return {
+      from: query.get('from') ? SeriesApi.parseTime(query.get('from')) : undefined,
+      to: query.get('to') ? SeriesApi.parseTime(query.get('to')) : undefined,
+      maxPoints: query.get('maxPoints') ? +query.get('maxPoints') : undefined,
+      downsample: query.get('downsample') || undefined
+    }
+  }
+
+  static checkRange (from, to, maxPoints) {
+    if (!(from <= to)) {
+      throw new Error(`range is invalid: from=${from}, to=${to}`)
+    }
+    if (!(Number.isInteger(maxPoints) && maxPoints > 0)) {
+      throw new Error(`maxPoints is invalid: ${maxPoints}`)
+    }
+  }
+
+  /**
+   * @param value epoch milliseconds, or an ISO 8601 date
+   * @returns the epoch milliseconds
+   */
+  static parseTime (value) {
+    const timestamp = /^-?\d+$/.test(value) ? +value : Date.parse(value)
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`time is invalid: ${value} (e.g. 2021-01-01T00:00:00Z or 1609459200000)`)
+    }
+    return timestamp
+  }
+
+  /**
+   * @param timestamps the ascending timestamps
+   * @param length the number of timestamps
+   * @param timestamp the timestamp to find
+   * @param inclusive true to skip the rows equal to the timestamp
+   * @returns the index of the first row after (or at, unless inclusive) the timestamp
+   */
+  static lowerBound (timestamps, length, timestamp, inclusive = false) {
+    let low = 0
+    let high = length
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      if (timestamps[middle] < timestamp || (inclusive && timestamps[middle] === timestamp)) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return low
+  }
+
+  static respond (response, func) {
+    let statusCode = 200
+    let body
+    try {
+      body = func()
+    } catch (err) {
+      statusCode = 400
+      body = { error: err.message }
+    }
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' })
+    response.end(JSON.stringify(body))
+  }
+}
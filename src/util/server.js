@@ -4,7 +4,12 @@ const fs = require('fs')
 const path = require('path')
 
 module.exports = class Server {
-  static start () {
+  /**
+   * Start the server of the public directory.
+   * @param routes object of request handlers `(request, response)` keyed by path, served before the files (e.g. the live feed)
+   * @returns the http server
+   */
+  static start (routes = {}) {
     const publicDir = process.env.SERVER_PUBLIC_DIR ? process.env.SERVER_PUBLIC_DIR : 'res'
     const port = process.env.port ? process.env.port : 8080
 
@@ -17,7 +22,13 @@ module.exports = class Server {
     const server = http.createServer((request, response) => {
       logger.info(`${request.method} ${request.url}`)
 
-      const requestFile = request.url.endsWith('/') ? `${request.url}index.html` : request.url
+      const requestPath = request.url.split('?')[0]
+      const route = routes[requestPath]
+      if (route) {
+        return route(request, response)
+      }
+
+      const requestFile = requestPath.endsWith('/') ? `${requestPath}index.html` : requestPath
       const filepath = path.join(publicDir, requestFile)
       fs.readFile(filepath, function (err, data) {
         if (err) {
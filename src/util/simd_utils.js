@@ -0,0 +1,248 @@
+/* global WebAssembly */
+/**
+ * WebAssembly SIMD kernels operating directly on an `OhlcSystem` arena allocated in WebAssembly memory.
+ * The module is hand-assembled below (no toolchain is needed at build time) and imports the arena as `env.memory`,
+ * so the kernels read and write the components in place through their byte offsets.
+ * Each 128-bit vector holds two float64 values (`f64x2`), and the operations are evaluated in the same order as the
+ * JavaScript kernels, so the results are identical.
+ */
+
+// https://webassembly.github.io/spec/core/binary/index.html
+const I32 = 0x7f
+const F64 = 0x7c
+const V128 = 0x7b
+const op = {
+  block: 0x02,
+  loop: 0x03,
+  if: 0x04,
+  else: 0x05,
+  end: 0x0b,
+  br: 0x0c,
+  brIf: 0x0d,
+  select: 0x1b,
+  localGet: 0x20,
+  localSet: 0x21,
+  f64Load: 0x2b,
+  f64Store: 0x39,
+  i32Const: 0x41,
+  f64Const: 0x44,
+  i32LeU: 0x4d,
+  i32LtU: 0x49,
+  i32GeU: 0x4f,
+  i32Add: 0x6a,
+  i32Sub: 0x6b,
+  i32And: 0x71,
+  i32Shl: 0x74,
+  f64Sqrt: 0x9f,
+  f64Add: 0xa0,
+  f64Sub: 0xa1,
+  f64Mul: 0xa2,
+  f64Div: 0xa3,
+  f64Max: 0xa5,
+  f64ConvertI32U: 0xb8
+}
+const simdOp = { v128Load: 0x00, v128Store: 0x0b, f64x2Splat: 0x14, f64x2Sqrt: 0xef, f64x2Add: 0xf0, f64x2Sub: 0xf1, f64x2Mul: 0xf2, f64x2Div: 0xf3 }
+
+function uleb128 (value) {
+  const bytes = []
+  do {
+    let byte = value & 0x7f
+    value >>>= 7
+    if (value !== 0) {
+      byte |= 0x80
+    }
+    bytes.push(byte)
+  } while (value !== 0)
+  return bytes
+}
+
+function sleb128 (value) {
+  const bytes = []
+  for (;;) {
+    const byte = value & 0x7f
+    value >>= 7
+    if ((value === 0 && (byte & 0x40) === 0) || (value === -1 && (byte & 0x40) !== 0)) {
+      bytes.push(byte)
+      return bytes
+    }
+    bytes.push(byte | 0x80)
+  }
+}
+
+function vector (items) {
+  return uleb128(items.length).concat(...items)
+}
+
+function section (id, bytes) {
+  return [id].concat(uleb128(bytes.length), bytes)
+}
+
+function name (string) {
+  return vector(Array.from(Buffer.from(string, 'utf8')).map(byte => [byte]))
+}
+
+// instruction helpers
+const get = local => [op.localGet, ...uleb128(local)]
+const set = local => [op.localSet, ...uleb128(local)]
+const i32 = value => [op.i32Const, ...sleb128(value)]
+const f64 = value => {
+  const bytes = Buffer.alloc(8)
+  bytes.writeDoubleLE(value)
+  return [op.f64Const, ...bytes]
+}
+const address = (pointer, offset) => [...get(pointer), ...get(offset), op.i32Add]
+const loadF64 = (pointer, offset) => [...address(pointer, offset), op.f64Load, 3, 0]
+const storeF64 = (pointer, offset, value) => [...address(pointer, offset), ...value, op.f64Store, 3, 0]
+const simd = code => [0xfd, ...uleb128(code)]
+const loadV128 = (pointer, offset) => [...address(pointer, offset), ...simd(simdOp.v128Load), 4, 0]
+const storeV128 = (pointer, offset, value) => [...address(pointer, offset), ...value, ...simd(simdOp.v128Store), 4, 0]
+// `while (offset < end) { body; offset += step }`
+const whileLessThan = (offset, end, step, body) => [
+  op.block, 0x40, op.loop, 0x40,
+  ...get(offset), ...get(end), op.i32GeU, op.brIf, 1,
+  ...body,
+  ...get(offset), ...i32(step), op.i32Add, ...set(offset),
+  op.br, 0, op.end, op.end
+]
+// byte offset of the end of `length` float64 values, and of the last complete pair of them
+const ends = (length, end, pairsEnd) => [
+  ...get(length), ...i32(3), op.i32Shl, ...set(end),
+  ...get(length), ...i32(-2), op.i32And, ...i32(3), op.i32Shl, ...set(pairsEnd)
+]
+
+/**
+ * `(input0, ..., inputN, output, length)` - the sum of the inputs divided by the divisor, e.g. HLC/3
+ */
+function averageOf (inputCount, divisor) {
+  const inputs = Array.from({ length: inputCount }, (_, i) => i)
+  const output = inputCount
+  const length = inputCount + 1
+  const offset = inputCount + 2
+  const end = inputCount + 3
+  const pairsEnd = inputCount + 4
+  const sum = (load, add) => inputs.reduce((code, input, i) => code.concat(load(input, offset), i === 0 ? [] : add), [])
+  return {
+    params: new Array(inputCount + 2).fill(I32),
+    locals: [[3, I32]],
+    code: [
+      ...ends(length, end, pairsEnd),
+      ...whileLessThan(offset, pairsEnd, 16, storeV128(output, offset, [
+        ...sum(loadV128, simd(simdOp.f64x2Add)),
+        ...f64(divisor), ...simd(simdOp.f64x2Splat), ...simd(simdOp.f64x2Div)
+      ])),
+      ...whileLessThan(offset, end, 8, storeF64(output, offset, [...sum(loadF64, [op.f64Add]), ...f64(divisor), op.f64Div]))
+    ]
+  }
+}
+
+/**
+ * `(source, average, upper, lower, length, window, ddof, multiplier)` - Bollinger Bands `multiplier` standard deviations from the
+ * average, with the variance divided by `count - ddof` (1 for the sample variance, 0 for the population variance).
+ * Welford's algorithm is a serial recurrence, so the running mean and variance are scalar (storing the variance in `lower`),
+ * and the standard deviations and bands are then vectorized.
+ */
+function bands () {
+  const [source, average, upper, lower, length, window, ddof, multiplier] = [0, 1, 2, 3, 4, 5, 6, 7]
+  const [offset, end, pairsEnd, count, windowBytes] = [8, 9, 10, 11, 12]
+  const [mean, meanSq, value, oldValue, oldMean, delta] = [13, 14, 15, 16, 17, 18]
+  const [stdev, means] = [19, 20]
+  const countF64 = [...get(count), op.f64ConvertI32U]
+  const scalarBands = [
+    ...storeF64(upper, offset, [...loadF64(average, offset), ...get(multiplier), ...loadF64(lower, offset), op.f64Sqrt, op.f64Mul, op.f64Add]),
+    ...storeF64(lower, offset, [...loadF64(average, offset), ...get(multiplier), ...loadF64(lower, offset), op.f64Sqrt, op.f64Mul, op.f64Sub])
+  ]
+  return {
+    params: new Array(7).fill(I32).concat([F64]),
+    locals: [[5, I32], [6, F64], [2, V128]],
+    code: [
+      ...ends(length, end, pairsEnd),
+      ...get(window), ...i32(3), op.i32Shl, ...set(windowBytes),
+      ...whileLessThan(offset, end, 8, [
+        ...loadF64(source, offset), ...set(value),
+        ...get(count), ...get(window), op.i32LtU,
+        op.if, 0x40,
+        ...get(value), ...get(mean), op.f64Sub, ...set(delta),
+        ...get(count), ...i32(1), op.i32Add, ...set(count),
+        ...get(mean), ...get(delta), ...countF64, op.f64Div, op.f64Add, ...set(mean),
+        ...get(meanSq), ...get(delta), ...get(value), ...get(mean), op.f64Sub, op.f64Mul, op.f64Add, ...set(meanSq),
+        op.else,
+        ...get(source), ...get(offset), op.i32Add, ...get(windowBytes), op.i32Sub, op.f64Load, 3, 0, ...set(oldValue),
+        ...get(mean), ...set(oldMean),
+        ...get(mean), ...get(value), ...get(oldValue), op.f64Sub, ...countF64, op.f64Div, op.f64Add, ...set(mean),
+        ...f64(0.0),
+        ...get(meanSq), ...get(value), ...get(oldValue), op.f64Sub,
+        ...get(value), ...get(mean), op.f64Sub, ...get(oldValue), op.f64Add, ...get(oldMean), op.f64Sub,
+        op.f64Mul, op.f64Add, op.f64Max, ...set(meanSq),
+        op.end,
+        ...storeF64(average, offset, get(mean)),
+        ...storeF64(lower, offset, [
+          ...f64(0.0),
+          ...get(meanSq), ...get(count), ...get(ddof), op.i32Sub, op.f64ConvertI32U, op.f64Div,
+          ...get(count), ...i32(1), op.i32LeU, op.select
+        ])
+      ]),
+      ...i32(0), ...set(offset),
+      ...whileLessThan(offset, pairsEnd, 16, [
+        ...loadV128(lower, offset), ...simd(simdOp.f64x2Sqrt), ...set(stdev),
+        ...loadV128(average, offset), ...set(means),
+        ...storeV128(upper, offset, [
+          ...get(means), ...get(multiplier), ...simd(simdOp.f64x2Splat), ...get(stdev), ...simd(simdOp.f64x2Mul), ...simd(simdOp.f64x2Add)
+        ]),
+        ...storeV128(lower, offset, [
+          ...get(means), ...get(multiplier), ...simd(simdOp.f64x2Splat), ...get(stdev), ...simd(simdOp.f64x2Mul), ...simd(simdOp.f64x2Sub)
+        ])
+      ]),
+      ...whileLessThan(offset, end, 8, scalarBands)
+    ]
+  }
+}
+
+const functions = { hl2: averageOf(2, 2.0), hlc3: averageOf(3, 3.0), ohlc4: averageOf(4, 4.0), bands: bands() }
+
+function assemble () {
+  const entries = Object.entries(functions)
+  const types = entries.map(([, { params }]) => [0x60, ...vector(params.map(param => [param])), ...vector([])])
+  const imports = [[...name('env'), ...name('memory'), 0x02, 0x00, 0x00]] // memory with a minimum of 0 pages
+  const codes = entries.map(([, { locals, code }]) => {
+    const body = [...vector(locals.map(([count, type]) => [...uleb128(count), type])), ...code, op.end]
+    return [...uleb128(body.length), ...body]
+  })
+  return new Uint8Array([
+    0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, // magic and version
+    ...section(1, vector(types)),
+    ...section(2, vector(imports)),
+    ...section(3, vector(entries.map((_, i) => uleb128(i)))),
+    ...section(7, vector(entries.map(([functionName], i) => [...name(functionName), 0x00, ...uleb128(i)]))),
+    ...section(10, vector(codes))
+  ])
+}
+
+let compiled = null
+const instances = new WeakMap()
+
+module.exports = class SimdUtils {
+  /**
+   * @returns the compiled WebAssembly module of the SIMD kernels
+   */
+  static module () {
+    if (!compiled) {
+      compiled = new WebAssembly.Module(assemble())
+    }
+    return compiled
+  }
+
+  /**
+   * @param ohlcSystem an OhlcSystem whose arena is allocated in WebAssembly memory (see `OhlcSystem.toWasm`)
+   * @returns the exported kernels of the module instantiated on the arena
+   */
+  static kernels (ohlcSystem) {
+    const memory = ohlcSystem.memory
+    if (!memory) {
+      throw new Error('arena is not WebAssembly memory: construct the OhlcSystem with `wasm: true` or use `toWasm`')
+    }
+    if (!instances.has(memory)) {
+      instances.set(memory, new WebAssembly.Instance(SimdUtils.module(), { env: { memory } }).exports)
+    }
+    return instances.get(memory)
+  }
+}
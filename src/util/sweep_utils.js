@@ -0,0 +1,143 @@
+const Backtester = require('../backtester.js')
+const TimeUtils = require('./time_utils.js')
+
+const BACKTEST_METRICS = ['totalReturn', 'sharpe', 'maxDrawdown', 'winRate', 'trades']
+
+// Mulberry32 (https://gist.github.com/tommyettinger/46a874533244883189143505d203312c), a seeded PRNG so random searches repeat
+function mulberry32 (seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Parameter sweep of the calculation of an OhlcSystem over a space of dimensions: the `window`, the `kernel`, and indicator
+ * parameters such as the band `multiplier` (set on each registered indicator declaring the parameter).
+ * Each point of the space is benchmarked, and backtested if rules are given (see `Backtester`), so a sweep gives both
+ * scaling curves (e.g. seconds against the window of each kernel) and strategy tuning (e.g. Sharpe ratio against the window
+ * and multiplier). The points are either the grid of every combination, or a random search sampling each numeric dimension
+ * uniformly between its least and greatest values (as integers if they are all integers).
+ */
+module.exports = class SweepUtils {
+  /**
+   * @param spec the values of a dimension, as a list (e.g. `10,20,50` or `naive,incremental`) or a range `min:max:step`
+   * (e.g. `5:50:5`, the step defaulting to 1)
+   * @returns array of the values
+   */
+  static parseValues (spec) {
+    const text = String(spec).trim()
+    const range = /^([-\d.e]+):([-\d.e]+)(?::([-\d.e]+))?$/.exec(text)
+    if (range) {
+      const [min, max, step] = [+range[1], +range[2], range[3] === undefined ? 1 : +range[3]]
+      if (!(step > 0) || !(min <= max)) {
+        throw new Error(`sweep range is invalid: ${spec}`)
+      }
+      const values = []
+      for (let i = 0; min + i * step <= max + step * 1e-9; ++i) {
+        values.push(+(min + i * step).toPrecision(12)) // e.g. 1.5 + 3 * 0.1 as 1.8 rather than 1.8000000000000003
+      }
+      return values
+    }
+    return text.split(',').map(value => value.trim()).filter(value => value !== '').map(value => Number.isNaN(+value) ? value : +value)
+  }
+
+  /**
+   * @param dimensions object of the values of each dimension, e.g. `{ window: [10, 20], multiplier: [1.5, 2.0] }`
+   * @returns every combination of the values, e.g. `[{ window: 10, multiplier: 1.5 }, ...]`
+   */
+  static grid (dimensions) {
+    return Object.entries(dimensions).reduce(
+      (points, [name, values]) => points.flatMap(point => values.map(value => ({ ...point, [name]: value }))),
+      [{}])
+  }
+
+  /**
+   * @param dimensions object of the values of each dimension
+   * @param samples the number of points
+   * @param seed the seed of the random numbers
+   * @returns the randomly sampled points
+   */
+  static random (dimensions, samples, seed = 1) {
+    const random = mulberry32(seed)
+    return Array.from({ length: samples }, () => {
+      const point = {}
+      for (const [name, values] of Object.entries(dimensions)) {
+        if (values.every(value => typeof value === 'number')) {
+          const min = Math.min(...values)
+          const max = Math.max(...values)
+          point[name] = values.every(Number.isInteger)
+            ? min + Math.floor(random() * (max - min + 1))
+            : +(min + random() * (max - min)).toPrecision(6)
+        } else {
+          point[name] = values[Math.floor(random() * values.length)]
+        }
+      }
+      return point
+    })
+  }
+
+  /**
+   * @param ohlcSystem the OhlcSystem to calculate (its components are overwritten by each point)
+   * @param points the points to calculate, each with a `window` and `kernel` and the values of indicator parameters
+   * @param params the indicator parameter overrides keyed by indicator name, before those of each point
+   * @param backtest the `entry` and `exit` rules and `Backtester` options, or null to only benchmark
+   * @param benchmarkOptions the `warmup` and `iterations` of each benchmark
+   * @returns the results table: for each point, its values and the median `seconds` of the calculation, and the
+   * `totalReturn`, `sharpe`, `maxDrawdown`, `winRate` and `trades` of the backtest
+   */
+  static async sweep (ohlcSystem, points, { params = {}, backtest = null, benchmarkOptions = {} } = {}) {
+    let wasmOhlcSystem = null // the simd kernel calculates in WebAssembly memory
+    const rows = []
+    for (const point of points) {
+      const { window, kernel, ...values } = point
+      let system = ohlcSystem
+      if (kernel === 'simd') {
+        system = wasmOhlcSystem = wasmOhlcSystem || ohlcSystem.toWasm()
+      }
+      const pointParams = SweepUtils.params(system.registry, params, values)
+      const stats = {}
+      await TimeUtils.benchmark(
+        stats, 'calculateAll', `sweep: ohlcSystem.calculateAll(${JSON.stringify(point)})`,
+        () => system.calculateAll(window, kernel, pointParams), benchmarkOptions)
+      const row = { ...point, seconds: stats.calculateAll.seconds.median }
+      if (backtest) {
+        const result = new Backtester(backtest).run(system, backtest.entry, backtest.exit)
+        BACKTEST_METRICS.forEach(metric => { row[metric] = result.stats[metric] })
+      }
+      rows.push(row)
+    }
+    return rows
+  }
+
+  /**
+   * @returns the metrics of the results table of a sweep
+   */
+  static metrics (backtest) {
+    return ['seconds'].concat(backtest ? BACKTEST_METRICS : [])
+  }
+
+  /**
+   * @param registry the registered indicators
+   * @param params the indicator parameter overrides keyed by indicator name
+   * @param values object of parameter values, e.g. `{ multiplier: 2.5 }`, set on each indicator declaring the parameter
+   * @returns the indicator parameter overrides with the values set
+   */
+  static params (registry, params, values) {
+    const merged = { ...params }
+    for (const [name, value] of Object.entries(values)) {
+      const indicators = registry.sort().filter(indicator => indicator.params && name in indicator.params)
+      if (indicators.length === 0) {
+        throw new Error(`sweep parameter is not declared by any indicator: ${name}`)
+      }
+      for (const indicator of indicators) {
+        merged[indicator.name] = { ...merged[indicator.name], [name]: value }
+      }
+    }
+    return merged
+  }
+}
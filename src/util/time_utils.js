@@ -1,5 +1,5 @@
 const logger = require('./logger.js')
-const { performance } = require('perf_hooks')
+const { performance, PerformanceObserver, constants } = require('perf_hooks')
 
 module.exports = class TimeUtils {
   static run (stats, name, message, func) {
@@ -19,4 +19,86 @@ module.exports = class TimeUtils {
     logger.info(`${message}: seconds=${seconds}`)
     return result
   }
+
+  /**
+   * Run a stage for `warmup` untimed iterations (letting the JIT optimize it), then for `iterations` timed iterations.
+   * Writes `{ warmup, iterations, seconds: { min, median, p95, mean, stddev }, samples, memory: { before, after }, gc }` to `stats[name]`,
+   * where `memory` is `process.memoryUsage()` around the timed iterations and `gc` counts the garbage collections during them.
+   * @param stats object to write the results to
+   * @param name the key of the results in `stats`
+   * @param message the log message prefix
+   * @param asyncFunc the stage to run, returning a result or a promise of one
+   * @param warmup the number of untimed iterations
+   * @param iterations the number of timed iterations
+   * @returns the result of the last iteration
+   */
+  static async benchmark (stats, name, message, asyncFunc, { warmup = 1, iterations = 5 } = {}) {
+    let result
+    for (let i = 0; i < warmup; ++i) {
+      result = await asyncFunc()
+    }
+
+    const gcEntries = []
+    const observer = new PerformanceObserver(list => gcEntries.push(...list.getEntries()))
+    observer.observe({ entryTypes: ['gc'] })
+    const before = process.memoryUsage()
+    const samples = new Array(iterations)
+    for (let i = 0; i < iterations; ++i) {
+      const start = performance.now()
+      result = await asyncFunc()
+      samples[i] = (performance.now() - start) * 1e-3
+    }
+    const after = process.memoryUsage()
+    await new Promise(resolve => setImmediate(resolve)) // gc entries are delivered asynchronously
+    if (typeof observer.takeRecords === 'function') { // Node.js 16 and later
+      gcEntries.push(...observer.takeRecords())
+    }
+    observer.disconnect()
+
+    const benchmark = {
+      warmup,
+      iterations,
+      seconds: TimeUtils.summarize(samples),
+      samples,
+      memory: { before, after },
+      gc: {
+        count: gcEntries.length,
+        majorCount: gcEntries.filter(entry => TimeUtils.gcKind(entry) === constants.NODE_PERFORMANCE_GC_MAJOR).length,
+        pauseSeconds: gcEntries.reduce((sum, entry) => sum + entry.duration, 0) * 1e-3
+      }
+    }
+    stats[name] = benchmark
+    logger.info(`${message}: seconds=${JSON.stringify(benchmark.seconds)}, gc=${JSON.stringify(benchmark.gc)}`)
+    return result
+  }
+
+  /**
+   * @param entry a 'gc' PerformanceEntry
+   * @returns the kind of the collection, from `detail` in Node.js 16 and later, or the entry itself before
+   */
+  static gcKind (entry) {
+    return entry.detail ? entry.detail.kind : entry.kind
+  }
+
+  /**
+   * @param samples array of timings
+   * @returns object containing the min, median, 95th percentile (nearest rank), mean and sample standard deviation
+   */
+  static summarize (samples) {
+    const n = samples.length
+    if (n === 0) {
+      return { min: NaN, median: NaN, p95: NaN, mean: NaN, stddev: NaN }
+    }
+    const sorted = Array.from(samples).sort((a, b) => a - b)
+    const mid = Math.trunc(n / 2)
+    const mean = sorted.reduce((sum, sample) => sum + sample, 0) / n
+    const variance = n <= 1 ? 0.0 : sorted.reduce((sum, sample) => sum + (sample - mean) * (sample - mean), 0) / (n - 1)
+    return {
+      min: sorted[0],
+      median: n % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid],
+      p95: sorted[Math.ceil(0.95 * n) - 1],
+      mean,
+      stddev: Math.sqrt(variance)
+    }
+  }
 }
@@ -0,0 +1,225 @@
+const Ohlc = require('../ohlc.js')
+const OhlcSystem = require('../ohlc_system.js')
+
+const PRICES = ['open', 'high', 'low', 'close']
+const TYPES = ['invalid-value', 'invalid-range', 'duplicate', 'out-of-order', 'gap']
+
+function formatTimestamp (timestamp) {
+  return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : String(timestamp)
+}
+
+/**
+ * Validation of parsed OHLC rows before they are calculated, with optional repair:
+ * - 'invalid-value' - a price that is not a positive number (e.g. NaN from `parseFloat`), a negative volume, or a missing timestamp
+ * - 'invalid-range' - an impossible OHLC relationship: `high < low`, or an open or close outside `[low, high]`
+ * - 'out-of-order' - a timestamp before that of an earlier row
+ * - 'duplicate' - a timestamp equal to that of an earlier row
+ * - 'gap' - missing candles between consecutive timestamps, given the interval between candles
+ * Repairing rejects the rows with invalid values or ranges, sorts out-of-order rows, drops duplicates (keeping the first),
+ * and forward-fills each missing candle with the previous close and zero volume.
+ */
+module.exports = class ValidationUtils {
+  static get TYPES () {
+    return TYPES
+  }
+
+  /**
+   * @param ohlcSystem the OhlcSystem to validate
+   * @param repair true to return a repaired copy of the system
+   * @param interval the milliseconds between candles (defaults to the most common interval)
+   * @param maxAnomalies the maximum number of anomalies listed in the report (all are counted)
+   * @returns object containing the `ohlcSystem` (repaired, or the given system) and the `report`
+   */
+  static validateOhlcSystem (ohlcSystem, { repair = false, interval = undefined, maxAnomalies = 20 } = {}) {
+    const columns = {
+      length: ohlcSystem.length,
+      timestamps: ohlcSystem.timestamps,
+      lines: ohlcSystem.lines,
+      open: ohlcSystem.opens,
+      high: ohlcSystem.highs,
+      low: ohlcSystem.lows,
+      close: ohlcSystem.closes,
+      volume: ohlcSystem.volumes
+    }
+    const { report, rows } = ValidationUtils.validate(columns, { repair, interval, maxAnomalies })
+    if (!repair) {
+      return { ohlcSystem, report }
+    }
+
+    const repaired = new OhlcSystem(rows.length, ohlcSystem.registry)
+    rows.forEach(({ index, timestamp, filled }, i) => {
+      if (filled) {
+        const close = ohlcSystem.closes[index]
+        repaired.opens[i] = repaired.highs[i] = repaired.lows[i] = repaired.closes[i] = close
+        repaired.volumes[i] = 0.0
+      } else {
+        repaired.opens[i] = ohlcSystem.opens[index]
+        repaired.highs[i] = ohlcSystem.highs[index]
+        repaired.lows[i] = ohlcSystem.lows[index]
+        repaired.closes[i] = ohlcSystem.closes[index]
+        repaired.volumes[i] = ohlcSystem.volumes[index]
+        repaired.lines[i] = ohlcSystem.lines[index]
+      }
+      repaired.timestamps[i] = timestamp
+    })
+    repaired.length = rows.length
+    return { ohlcSystem: repaired, report }
+  }
+
+  /**
+   * @param ohlcs array of Ohlc values to validate
+   * @param repair true to return a repaired array
+   * @param interval the milliseconds between candles (defaults to the most common interval)
+   * @param maxAnomalies the maximum number of anomalies listed in the report (all are counted)
+   * @returns object containing the `ohlcs` (repaired, or the given array) and the `report`
+   */
+  static validateOhlcs (ohlcs, { repair = false, interval = undefined, maxAnomalies = 20 } = {}) {
+    const columns = { length: ohlcs.length, timestamps: ohlcs.map(ohlc => ohlc.timestamp), lines: ohlcs.map(ohlc => ohlc.line) }
+    for (const field of PRICES.concat(['volume'])) {
+      columns[field] = ohlcs.map(ohlc => ohlc[field])
+    }
+    const { report, rows } = ValidationUtils.validate(columns, { repair, interval, maxAnomalies })
+    if (!repair) {
+      return { ohlcs, report }
+    }
+
+    const repaired = rows.map(({ index, timestamp, filled }) => {
+      if (!filled) {
+        return ohlcs[index]
+      }
+      const close = ohlcs[index].close
+      return new Ohlc({
+        timestamp,
+        open: close,
+        high: close,
+        low: close,
+        close,
+        volume: 0.0
+      })
+    })
+    return { ohlcs: repaired, report }
+  }
+
+  /**
+   * @param columns object of `length` and the `timestamps`, `lines`, `open`, `high`, `low`, `close` and `volume` arrays
+   * @returns object containing the `report`, and the repaired `rows` as `{ index, timestamp, filled }` where `index` is the
+   * source row (or the row filled forward from)
+   */
+  static validate (columns, { repair = false, interval = undefined, maxAnomalies = 20 } = {}) {
+    const { length, timestamps, lines } = columns
+    const counts = {}
+    TYPES.forEach(type => { counts[type] = 0 })
+    const anomalies = []
+    const anomaly = (type, index, message) => {
+      ++counts[type]
+      if (anomalies.length < maxAnomalies) {
+        anomalies.push({ type, index, line: lines[index] || null, timestamp: timestamps[index], message })
+      }
+    }
+
+    // reject invalid values and impossible OHLC relationships
+    const valid = []
+    for (let i = 0; i < length; ++i) {
+      if (!Number.isFinite(timestamps[i])) {
+        anomaly('invalid-value', i, `timestamp=${timestamps[i]} is not a number`)
+        continue
+      }
+      const invalidPrice = PRICES.find(field => !(columns[field][i] > 0))
+      if (invalidPrice) {
+        anomaly('invalid-value', i, `${invalidPrice}=${columns[invalidPrice][i]} is not a positive number`)
+        continue
+      }
+      if (!(columns.volume[i] >= 0)) {
+        anomaly('invalid-value', i, `volume=${columns.volume[i]} is not a non-negative number`)
+        continue
+      }
+      const high = columns.high[i]
+      const low = columns.low[i]
+      if (high < low) {
+        anomaly('invalid-range', i, `high=${high} is less than low=${low}`)
+        continue
+      }
+      const outside = ['open', 'close'].find(field => columns[field][i] < low || columns[field][i] > high)
+      if (outside) {
+        anomaly('invalid-range', i, `${outside}=${columns[outside][i]} is outside [low=${low}, high=${high}]`)
+        continue
+      }
+      valid.push(i)
+    }
+
+    // check the order of the timestamps
+    let latest = -Infinity
+    let latestIndex = -1
+    for (const i of valid) {
+      const timestamp = timestamps[i]
+      if (timestamp < latest) {
+        anomaly('out-of-order', i, `${formatTimestamp(timestamp)} is before ${formatTimestamp(latest)} (line ${lines[latestIndex] || '?'})`)
+      } else if (timestamp === latest) {
+        anomaly('duplicate', i, `${formatTimestamp(timestamp)} duplicates line ${lines[latestIndex] || '?'}`)
+      } else {
+        latest = timestamp
+        latestIndex = i
+      }
+    }
+    const sorted = counts['out-of-order'] > 0 ? valid.slice().sort((a, b) => timestamps[a] - timestamps[b]) : valid
+    const unique = sorted.filter((index, i) => i === 0 || timestamps[index] !== timestamps[sorted[i - 1]])
+
+    // find the gaps, given the interval between candles
+    const checkedInterval = interval || ValidationUtils.mostCommonInterval(unique.map(index => timestamps[index]))
+    const rows = []
+    unique.forEach((index, i) => {
+      if (i > 0 && checkedInterval) {
+        const previous = unique[i - 1]
+        const missing = Math.ceil((timestamps[index] - timestamps[previous]) / checkedInterval) - 1
+        if (missing > 0) {
+          anomaly('gap', index, `${missing} missing candles after ${formatTimestamp(timestamps[previous])} (line ${lines[previous] || '?'})`)
+          if (repair) {
+            for (let timestamp = timestamps[previous] + checkedInterval; timestamp < timestamps[index]; timestamp += checkedInterval) {
+              rows.push({ index: previous, timestamp, filled: true })
+            }
+          }
+        }
+      }
+      if (repair) {
+        rows.push({ index, timestamp: timestamps[index], filled: false })
+      }
+    })
+
+    const report = {
+      rowCount: length,
+      interval: checkedInterval || null,
+      counts,
+      anomalies,
+      repaired: repair
+        ? {
+            rejected: length - valid.length,
+            sorted: counts['out-of-order'] > 0,
+            dropped: sorted.length - unique.length,
+            filled: rows.length - unique.length,
+            rowCount: rows.length
+          }
+        : null
+    }
+    return { report, rows: repair ? rows : null }
+  }
+
+  /**
+   * @param timestamps array of ascending timestamps
+   * @returns the most common difference between consecutive timestamps, or null if there are fewer than two
+   */
+  static mostCommonInterval (timestamps) {
+    const frequencies = new Map()
+    let interval = null
+    let maxFrequency = 0
+    for (let i = 1; i < timestamps.length; ++i) {
+      const difference = timestamps[i] - timestamps[i - 1]
+      const frequency = (frequencies.get(difference) || 0) + 1
+      frequencies.set(difference, frequency)
+      if (frequency > maxFrequency) {
+        interval = difference
+        maxFrequency = frequency
+      }
+    }
+    return interval
+  }
+}
@@ -0,0 +1,154 @@
+const path = require('path')
+const { Worker } = require('worker_threads')
+const IndicatorRegistry = require('../indicator_registry.js')
+
+const MAX_FAILED_STARTS = 3 // consecutive workers failing before they are ready, after which the pool stops replacing them
+
+/**
+ * Pool of worker threads calculating the indicators of an `OhlcSystem` whose arena is a SharedArrayBuffer.
+ * Each worker maps the same arena, so the components are written in place with no copying between threads.
+ * The indicators within a dependency level are independent (e.g. the bands, RSI, stochastic and MFI once HL2/HLC3/OHLC4 are calculated),
+ * so each level is dispatched as one task per indicator and awaited before the next level.
+ */
+module.exports = class WorkerPool {
+  /**
+   * @param threads the number of worker threads
+   * @param registryFilename the module exporting the registry of the systems to calculate, required by each worker
+   * (registries hold kernel functions, which cannot be posted between threads)
+   */
+  constructor (threads, registryFilename = path.join(__dirname, '../indicators/index.js')) {
+    this.registryFilename = registryFilename
+    this.queue = []
+    this.idle = []
+    this.attached = null // the attach message of the arena, posted again to replacement workers
+    this.workers = []
+    this.failedStarts = 0
+    this.error = null // set when workers keep failing to start, rejecting every task
+    for (let i = 0; i < threads; ++i) {
+      this.spawn()
+    }
+  }
+
+  /**
+   * Start a worker thread and add it to the idle workers.
+   * A worker which fails (an uncaught error, or exiting) rejects its task and is replaced, so the pool keeps its size,
+   * unless `MAX_FAILED_STARTS` workers in a row fail before they are ready (e.g. the registry module fails to load).
+   */
+  spawn () {
+    const worker = new Worker(path.join(__dirname, 'ohlc_system_worker.js'), { workerData: { registryFilename: this.registryFilename } })
+    worker.ready = false
+    worker.on('message', ({ ready, error }) => {
+      if (ready) {
+        worker.ready = true
+        this.failedStarts = 0
+        return
+      }
+      const task = worker.task
+      worker.task = null
+      this.idle.push(worker)
+      if (error) {
+        task.reject(new Error(error))
+      } else {
+        task.resolve()
+      }
+      this.dispatch()
+    })
+    worker.on('error', err => this.replace(worker, err))
+    worker.on('exit', code => this.replace(worker, new Error(`worker thread exited: code=${code}`)))
+    if (this.attached) {
+      worker.postMessage(this.attached)
+    }
+    this.workers.push(worker)
+    this.idle.push(worker)
+    return worker
+  }
+
+  replace (worker, err) {
+    if (!this.workers.includes(worker)) {
+      return // already replaced (an error is followed by the exit), or the pool is closed
+    }
+    this.workers = this.workers.filter(other => other !== worker)
+    this.idle = this.idle.filter(other => other !== worker)
+    if (worker.task) {
+      worker.task.reject(err)
+      worker.task = null
+    }
+    worker.terminate()
+    if (this.error) {
+      return // the pool has failed, so workers are no longer replaced
+    }
+    if (!worker.ready && ++this.failedStarts >= MAX_FAILED_STARTS) {
+      this.fail(new Error(`worker threads failed to start ${this.failedStarts} times in a row: ${err.message}`))
+      return
+    }
+    this.spawn()
+    this.dispatch()
+  }
+
+  /**
+   * Stop replacing workers, rejecting the queued tasks and every later task with the error.
+   */
+  fail (err) {
+    this.error = err
+    const queue = this.queue
+    this.queue = []
+    queue.forEach(task => task.reject(err))
+  }
+
+  /**
+   * Calculate each indicator component of the system on the worker threads.
+   * @param ohlcSystem the OhlcSystem to calculate, with its arena in a SharedArrayBuffer
+   * @param window the number of periods for window-based calculations
+   * @param kernel 'incremental' for sliding-window calculations, or 'naive' to re-scan each window
+   * @param params object of indicator parameter overrides keyed by indicator name
+   */
+  async calculate (ohlcSystem, window, kernel = 'incremental', params = {}) {
+    if (!(ohlcSystem.buffer instanceof SharedArrayBuffer)) {
+      throw new Error('arena is not shared: construct the OhlcSystem with `shared: true` or use `toShared`')
+    }
+    if (!this.attached || this.attached.buffer !== ohlcSystem.buffer) { // the buffer is replaced when the arena grows
+      // messages are handled in order, so every worker maps the arena before its next task
+      this.attached = {
+        type: 'attach',
+        buffer: ohlcSystem.buffer,
+        capacity: ohlcSystem.capacity
+      }
+      this.workers.forEach(worker => worker.postMessage(this.attached))
+    }
+    for (const level of ohlcSystem.registry.levels()) {
+      await Promise.all(level.map(indicator => this.run({
+        type: 'calculate',
+        name: indicator.name,
+        length: ohlcSystem.length,
+        params: IndicatorRegistry.params(indicator, window, kernel, params)
+      })))
+    }
+  }
+
+  run (message) {
+    return new Promise((resolve, reject) => {
+      if (this.error) {
+        reject(this.error)
+        return
+      }
+      this.queue.push({ message, resolve, reject })
+      this.dispatch()
+    })
+  }
+
+  dispatch () {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop()
+      worker.task = this.queue.shift()
+      worker.postMessage(worker.task.message)
+    }
+  }
+
+  async close () {
+    const workers = this.workers
+    this.workers = [] // so the exits are not replaced
+    this.idle = []
+    this.attached = null
+    await Promise.all(workers.map(worker => worker.terminate()))
+  }
+}
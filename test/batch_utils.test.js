@@ -0,0 +1,54 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const BatchUtils = require('../src/util/batch_utils.js')
+const BinaryUtils = require('../src/util/binary_utils.js')
+const CsvSchema = require('../src/csv_schema.js')
+const IndicatorRegistry = require('../src/indicator_registry.js')
+const OhlcUtils = require('../src/util/ohlc_utils.js')
+const indicators = require('../src/indicators/index.js')
+
+const CSV_FILENAME = path.join(__dirname, '../res/gemini_BTCUSD_day.csv')
+const WINDOW = 20
+const BATCH_SIZE = 97 // not a divisor of the row count, so the last batch is partial
+
+async function calculateBatchedAndUnbatched (kernel) {
+  const ohlcSystem = await OhlcUtils.parseOhlcSystemFromCsvWithLib(CSV_FILENAME, 2000, undefined, CsvSchema.preset('gemini'))
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'node-dod-'))
+  const inputFilename = path.join(directory, 'input.bin')
+  const outputFilename = path.join(directory, 'output.bin')
+  BinaryUtils.writeOhlcSystem(inputFilename, ohlcSystem, IndicatorRegistry.BASE_COLUMNS)
+
+  const { rowCount, batches } = BatchUtils.calculateInBatches(inputFilename, outputFilename, { batchSize: BATCH_SIZE, window: WINDOW, kernel })
+  assert.strictEqual(rowCount, ohlcSystem.length)
+  assert.strictEqual(batches, Math.ceil(rowCount / BATCH_SIZE))
+  const unbatched = kernel === 'simd' ? ohlcSystem.toWasm() : ohlcSystem
+  unbatched.calculate(WINDOW, kernel)
+  return { batched: BinaryUtils.readOhlcSystem(outputFilename), unbatched }
+}
+
+for (const kernel of ['incremental', 'naive', 'simd']) {
+  test(`batched ${kernel} calculation matches the unbatched calculation`, async () => {
+    const { batched, unbatched } = await calculateBatchedAndUnbatched(kernel)
+    for (const field of indicators.outputs()) {
+      const component = IndicatorRegistry.componentName(field)
+      for (let i = 0; i < unbatched.length; ++i) {
+        const expected = unbatched[component][i]
+        const actual = batched[component][i]
+        // stream kernels of windowed averages slide their sums in a different order than the soa kernels
+        const equal = Number.isNaN(expected) ? Number.isNaN(actual) : Math.abs(actual - expected) <= 1e-9 * Math.max(1.0, Math.abs(expected))
+        assert.ok(equal, `${field}[${i}]=${actual}, expected ${expected}`)
+      }
+    }
+  })
+}
+
+test('refuses to batch indicators declaring neither a lookback nor a stream kernel', () => {
+  const registry = new IndicatorRegistry().register({
+    name: 'cumulativeVolume', inputs: ['volume'], outputs: ['cumulativeVolume'], aos () {}, soa () {}
+  })
+  assert.throws(() => BatchUtils.calculateInBatches('unused.bin', 'unused.bin', { batchSize: BATCH_SIZE, window: WINDOW, registry }),
+    /cumulativeVolume cannot be calculated in batches/)
+})
@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const BinaryUtils = require('../src/util/binary_utils.js')
+const CsvSchema = require('../src/csv_schema.js')
+const IndicatorRegistry = require('../src/indicator_registry.js')
+const OhlcSystem = require('../src/ohlc_system.js')
+const OhlcUtils = require('../src/util/ohlc_utils.js')
+
+const ROWS = [
+  { timestamp: Date.UTC(2021, 2, 18), open: 1.0, high: 4.0, low: 0.5, close: 2.0, volume: 10.0 },
+  { timestamp: Date.UTC(2021, 2, 19), open: 2.0, high: 5.0, low: 1.5, close: 3.0, volume: 20.0 },
+  { timestamp: Date.UTC(2021, 2, 20), open: 3.0, high: 6.0, low: 2.5, close: 4.0, volume: 30.0 }
+]
+
+function tempFilename (name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'node-dod-')), name)
+}
+
+function assertRows (ohlcSystem) {
+  assert.strictEqual(ohlcSystem.length, ROWS.length)
+  ROWS.forEach((row, i) => {
+    for (const field of IndicatorRegistry.BASE_COLUMNS) {
+      assert.strictEqual(ohlcSystem[IndicatorRegistry.componentName(field)][i], row[field], `${field}[${i}]`)
+    }
+  })
+}
+
+test('writes and reads the OHLCV columns', () => {
+  const ohlcSystem = new OhlcSystem(ROWS.length, new IndicatorRegistry())
+  ROWS.forEach(row => ohlcSystem.append(row))
+  const filename = tempFilename('rows.bin')
+  BinaryUtils.writeOhlcSystem(filename, ohlcSystem, IndicatorRegistry.BASE_COLUMNS)
+
+  assertRows(BinaryUtils.readOhlcSystem(filename, new IndicatorRegistry()))
+  assert.deepStrictEqual(BinaryUtils.readOhlcs(filename).map(ohlc => ohlc.timestamp), ROWS.map(row => row.timestamp))
+})
+
+test('converts a CSV file chunk by chunk, reversing newest-first rows', async () => {
+  const csvFilename = path.join(__dirname, '../res/gemini_BTCUSD_day.csv')
+  const schema = CsvSchema.preset('gemini')
+  const expected = await OhlcUtils.parseOhlcSystemFromCsvWithLib(csvFilename, 2000, new IndicatorRegistry(), schema)
+  const filename = tempFilename('day.bin')
+
+  const rowCount = await BinaryUtils.convertCsv(csvFilename, filename, { chunkSize: 97, schema })
+  assert.strictEqual(rowCount, expected.length)
+  assert.ok(!fs.existsSync(`${filename}.tmp`))
+  const actual = BinaryUtils.readOhlcSystem(filename, new IndicatorRegistry())
+  assert.strictEqual(actual.length, expected.length)
+  for (const field of IndicatorRegistry.BASE_COLUMNS) {
+    const component = IndicatorRegistry.componentName(field)
+    assert.deepStrictEqual(actual[component].subarray(0, rowCount), expected[component].subarray(0, rowCount), field)
+  }
+})
@@ -0,0 +1,98 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const CsvTokenizer = require('../src/util/csv_tokenizer.js')
+
+/**
+ * @returns array of `{ line, fields }` for each record of the chunks
+ */
+function tokenize (chunks, options = {}) {
+  const records = []
+  let fields = []
+  const tokenizer = new CsvTokenizer(Object.assign({
+    onField: (fieldIndex, bytes, start, end) => {
+      assert.strictEqual(fieldIndex, fields.length)
+      fields.push(bytes.toString('utf8', start, end))
+    },
+    onRecord: (fieldCount, line) => {
+      assert.strictEqual(fieldCount, fields.length)
+      records.push({ line, fields })
+      fields = []
+    }
+  }, options))
+  chunks.forEach(chunk => tokenizer.write(Buffer.from(chunk)))
+  tokenizer.end()
+  return records
+}
+
+/**
+ * Assert the records of the input, whole and split into two chunks at every byte.
+ */
+function assertRecords (input, expected, options) {
+  const bytes = Buffer.from(input)
+  assert.deepStrictEqual(tokenize([bytes], options), expected, 'whole')
+  for (let i = 1; i < bytes.length; ++i) {
+    assert.deepStrictEqual(tokenize([bytes.subarray(0, i), bytes.subarray(i)], options), expected, `split at ${i}`)
+  }
+}
+
+test('unquoted fields and records', () => {
+  assertRecords('a,b,c\n1,2,3\n', [
+    { line: 1, fields: ['a', 'b', 'c'] },
+    { line: 2, fields: ['1', '2', '3'] }
+  ])
+})
+
+test('quoted fields containing delimiters and line breaks', () => {
+  assertRecords('"a,b","c\nd",e\nf,"g"\n', [
+    { line: 1, fields: ['a,b', 'c\nd', 'e'] },
+    { line: 3, fields: ['f', 'g'] }
+  ])
+})
+
+test('escaped quotes in quoted fields', () => {
+  assertRecords('"say ""hi""",""""\n', [{ line: 1, fields: ['say "hi"', '"'] }])
+})
+
+test('CRLF line breaks, including a CR and LF split across chunks', () => {
+  const expected = [{ line: 1, fields: ['a', 'b'] }, { line: 2, fields: ['c', '"d"'] }]
+  assertRecords('a,b\r\nc,"""d"""\r\n', expected)
+  assert.deepStrictEqual(tokenize(['a,b\r', '\nc,"""d"""\r', '\n']), expected)
+})
+
+test('a byte order mark at the start of the stream is skipped, even split across chunks', () => {
+  const expected = [{ line: 1, fields: ['a', 'b'] }]
+  assertRecords('\ufeffa,b\n', expected)
+  assert.deepStrictEqual(tokenize([Buffer.from([0xef]), Buffer.from([0xbb]), Buffer.from([0xbf]), 'a,b\n']), expected)
+})
+
+test('the last record without a trailing line break', () => {
+  assertRecords('a,b\nc,d', [{ line: 1, fields: ['a', 'b'] }, { line: 2, fields: ['c', 'd'] }])
+  assertRecords('a,"b"', [{ line: 1, fields: ['a', 'b'] }])
+  assertRecords('a,b\r', [{ line: 1, fields: ['a', 'b'] }])
+})
+
+test('empty fields, and empty lines skipped', () => {
+  assertRecords(',a,,\n\n"",b\n', [
+    { line: 1, fields: ['', 'a', '', ''] },
+    { line: 3, fields: ['', 'b'] }
+  ])
+})
+
+test('fields longer than the initial field buffer grow it', () => {
+  const long = 'x'.repeat(100)
+  const quoted = `"${'y,'.repeat(50)}"`
+  const expected = [{ line: 1, fields: [long, 'y,'.repeat(50)] }]
+  assertRecords(`${long},${quoted}\n`, expected, { fieldBufferSize: 4 })
+  // one byte per chunk, so every field is assembled in the field buffer
+  assert.deepStrictEqual(tokenize(Array.from(Buffer.from(`${long},${quoted}\n`), byte => Buffer.from([byte])), { fieldBufferSize: 1 }), expected)
+})
+
+test('a custom delimiter', () => {
+  assertRecords('a;"b;c"\n', [{ line: 1, fields: ['a', 'b;c'] }], { delimiter: ';' })
+})
+
+test('invalid input is rejected', () => {
+  assert.throws(() => tokenize(['"a\n']), /unterminated quoted field at line 1/)
+  assert.throws(() => tokenize(['"a"b\n']), /unexpected characters after a quoted field at line 1/)
+  assert.throws(() => new CsvTokenizer({ delimiter: '"' }), /CSV delimiter is invalid/)
+})
@@ -0,0 +1,44 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { RollingMax, RollingMin } = require('../src/indicators/extrema.js')
+const donchian = require('../src/indicators/donchian.js')
+const stochastic = require('../src/indicators/stochastic.js')
+
+// a deterministic series with runs, repeats and reversals
+const VALUES = Array.from({ length: 200 }, (_, i) => Math.round(100.0 * Math.sin(i * 0.37) + 30.0 * Math.cos(i * 1.9)) / 4.0)
+
+test('rolling max and min match a scan of each window', () => {
+  for (const window of [1, 2, 5, 20]) {
+    const highest = new RollingMax(window)
+    const lowest = new RollingMin(window)
+    VALUES.forEach((value, i) => {
+      const windowValues = VALUES.slice(Math.max(0, i - window + 1), i + 1)
+      assert.strictEqual(highest.push(value), Math.max(...windowValues), `max window=${window} i=${i}`)
+      assert.strictEqual(lowest.push(value), Math.min(...windowValues), `min window=${window} i=${i}`)
+    })
+  }
+})
+
+test('the incremental stochastic and donchian kernels match the naive kernels', () => {
+  const length = VALUES.length
+  const highs = Float64Array.from(VALUES, value => value + 2.0)
+  const lows = Float64Array.from(VALUES, value => value - 2.0)
+  const closes = Float64Array.from(VALUES)
+  const calculate = kernel => {
+    const soa = { length, highs, lows, closes }
+    for (const component of ['stochastics', 'donchianMiddles', 'donchianUppers', 'donchianLowers']) {
+      soa[component] = new Float64Array(length)
+    }
+    const aos = VALUES.map((close, i) => ({ high: highs[i], low: lows[i], close }))
+    for (const indicator of [stochastic, donchian]) {
+      indicator.soa(soa, { window: 14, kernel })
+      indicator.aos(aos, { window: 14, kernel })
+    }
+    return { soa, aos }
+  }
+  const naive = calculate('naive')
+  const incremental = calculate('incremental')
+  assert.deepStrictEqual(incremental.soa, naive.soa)
+  assert.deepStrictEqual(incremental.aos, naive.aos)
+  assert.deepStrictEqual(incremental.aos.map(ohlc => ohlc.donchianUpper), Array.from(incremental.soa.donchianUppers))
+})
@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const CsvSchema = require('../src/csv_schema.js')
+const IndicatorRegistry = require('../src/indicator_registry.js')
+const OhlcUtils = require('../src/util/ohlc_utils.js')
+const mfi = require('../src/indicators/mfi.js')
+
+/**
+ * @returns the MFIs of the typical prices and volumes by both the AoS and SoA kernels
+ */
+function calculate (hlc3s, volumes, window, kernel) {
+  const soa = { length: hlc3s.length, hlc3s, volumes, mfis: new Float64Array(hlc3s.length) }
+  mfi.soa(soa, { window, kernel })
+  const aos = Array.from(hlc3s, (hlc3, i) => ({ hlc3, volume: volumes[i] }))
+  mfi.aos(aos, { window, kernel })
+  return { soa: Array.from(soa.mfis), aos: aos.map(ohlc => ohlc.mfi) }
+}
+
+function assertEquivalent (hlc3s, volumes, window) {
+  const naive = calculate(hlc3s, volumes, window, 'naive')
+  const incremental = calculate(hlc3s, volumes, window, 'incremental')
+  for (const layout of ['soa', 'aos']) {
+    naive[layout].forEach((expected, i) => {
+      const actual = incremental[layout][i]
+      assert.ok(Math.abs(actual - expected) < 1e-6, `${layout} mfi[${i}]=${actual}, expected ${expected}`)
+    })
+  }
+}
+
+test('naive and incremental MFI are equivalent over flat and near-flat candles', () => {
+  // large flows followed by flat candles (zero deltas), zero volumes and deltas within the 1e-5 threshold,
+  // so the running sums empty of non-zero flows while the windows still hold zero flows
+  const hlc3s = []
+  const volumes = []
+  for (let i = 0; i < 120; ++i) {
+    const phase = Math.floor(i / 15) % 4
+    hlc3s.push(phase === 0 ? 50000.0 + 1234.567 * Math.sin(i) : phase === 1 ? 50000.0 : 50000.0 + 1e-7 * i)
+    volumes.push(phase === 0 ? 12.3456789 * (1 + (i % 3)) : phase === 3 ? 0.0 : 1.0)
+  }
+  for (const window of [3, 5, 14]) {
+    assertEquivalent(Float64Array.from(hlc3s), Float64Array.from(volumes), window)
+  }
+})
+
+test('naive and incremental MFI are equivalent on res/gemini_BTCUSD_1hr.csv', async () => {
+  const csvFilename = path.join(__dirname, '../res/gemini_BTCUSD_1hr.csv')
+  const ohlcSystem = await OhlcUtils.parseOhlcSystemFromCsvWithLib(csvFilename, 50000, new IndicatorRegistry(), CsvSchema.preset('gemini'))
+  const length = ohlcSystem.length
+  const hlc3s = new Float64Array(length)
+  for (let i = 0; i < length; ++i) {
+    hlc3s[i] = (ohlcSystem.highs[i] + ohlcSystem.lows[i] + ohlcSystem.closes[i]) / 3.0
+  }
+  assertEquivalent(hlc3s, ohlcSystem.volumes.subarray(0, length), 20)
+})
@@ -0,0 +1,20 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const CsvSchema = require('../src/csv_schema.js')
+const IndicatorRegistry = require('../src/indicator_registry.js')
+const OhlcUtils = require('../src/util/ohlc_utils.js')
+
+const CSV_FILENAME = path.join(__dirname, '../res/gemini_BTCUSD_day.csv')
+
+test('the custom and library parsers agree, with the default field buffer size', async () => {
+  delete process.env.CSV_COL_BUFFER_SIZE
+  const schema = CsvSchema.preset('gemini')
+  const custom = await OhlcUtils.parseOhlcSystemFromCsvWithCustom(CSV_FILENAME, 2000, new IndicatorRegistry(), schema)
+  const lib = await OhlcUtils.parseOhlcSystemFromCsvWithLib(CSV_FILENAME, 2000, new IndicatorRegistry(), schema)
+  assert.strictEqual(custom.length, lib.length)
+  for (const field of IndicatorRegistry.BASE_COLUMNS) {
+    const component = IndicatorRegistry.componentName(field)
+    assert.deepStrictEqual(custom[component].subarray(0, custom.length), lib[component].subarray(0, lib.length), field)
+  }
+})
@@ -0,0 +1,47 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const ReplaySource = require('../src/util/replay_source.js')
+
+const CANDLES = [0, 1, 2].map(i => ({ timestamp: i, open: 1.0, high: 2.0, low: 0.5, close: 1.5, volume: 10.0 }))
+
+test('a throwing candle handler emits an error and the replay continues', async () => {
+  const replay = new ReplaySource(CANDLES, { speed: 1000 })
+  const timestamps = []
+  const errors = []
+  replay.on('candle', candle => {
+    timestamps.push(candle.timestamp)
+    if (candle.timestamp === 1) {
+      throw new Error('handler failed')
+    }
+  })
+  replay.on('error', err => errors.push(err.message))
+  await new Promise(resolve => replay.on('end', resolve).start())
+  assert.deepStrictEqual(timestamps, [0, 1, 2])
+  assert.deepStrictEqual(errors, ['handler failed'])
+})
+
+test('a throwing candle handler without an error listener is logged and the replay continues', async () => {
+  const replay = new ReplaySource(CANDLES, { speed: 1000 })
+  const timestamps = []
+  replay.on('candle', candle => {
+    timestamps.push(candle.timestamp)
+    if (candle.timestamp === 1) {
+      throw new Error('handler failed')
+    }
+  })
+  await new Promise(resolve => replay.on('end', resolve).start())
+  assert.deepStrictEqual(timestamps, [0, 1, 2])
+})
+
+test('a candle handler can stop the replay', async () => {
+  const replay = new ReplaySource(CANDLES, { speed: 1000 })
+  const timestamps = []
+  replay.on('candle', candle => {
+    timestamps.push(candle.timestamp)
+    replay.stop()
+  })
+  replay.start()
+  await new Promise(resolve => setTimeout(resolve, 20))
+  assert.deepStrictEqual(timestamps, [0])
+  assert.strictEqual(replay.timer, null)
+})
@@ -0,0 +1,51 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const rsi = require('../src/indicators/rsi.js')
+
+const CSV_FILENAME = path.join(__dirname, '../res/gemini_BTCUSD_day.csv')
+const WINDOW = 5
+
+// Wilder's RSI of the oldest 8 rows of res/gemini_BTCUSD_day.csv (2015-10-08 to 2015-10-15), by hand:
+// closes 243.6, 245.51, 246.3, 248.98, 245.75, 251.0, 254.59, 257.19
+// deltas        1.91,   0.79,  2.68,  -3.23,   5.25,  3.59,   2.60
+// averages over min(i, 5) periods:
+//   i=1..3 gains 1.91, 1.35, 1.793333 and no losses, so the RSI is 100
+//   i=4 gain (1.793333 * 3 + 0) / 4 = 1.345, loss 3.23 / 4 = 0.8075, RSI 100 * 1.345 / 2.1525
+//   i=5 gain (1.345 * 4 + 5.25) / 5 = 2.126, loss 0.8075 * 4 / 5 = 0.646, RSI 100 * 2.126 / 2.772
+//   i=6 gain (2.126 * 4 + 3.59) / 5 = 2.4188, loss 0.646 * 4 / 5 = 0.5168, RSI 100 * 2.4188 / 2.9356
+//   i=7 gain (2.4188 * 4 + 2.60) / 5 = 2.45504, loss 0.5168 * 4 / 5 = 0.41344, RSI 100 * 2.45504 / 2.86848
+const EXPECTED = [0.0, 100.0, 100.0, 100.0, 62.48548199767712, 76.6955266955267, 82.39542171958033, 85.586791610888]
+
+/**
+ * @returns the closes of the oldest rows of the file, which lists the newest row first with the close in the seventh column
+ */
+function oldestCloses (count) {
+  const lines = fs.readFileSync(CSV_FILENAME, 'utf8').trim().split('\n')
+  return lines.slice(-count).reverse().map(line => parseFloat(line.split(',')[6]))
+}
+
+function assertCloseTo (actual, expected) {
+  assert.strictEqual(actual.length, expected.length)
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) < 1e-9, `rsi[${i}]=${value}, expected ${expected[i]}`)
+  })
+}
+
+test('the fixture is the oldest rows of the file', () => {
+  assert.deepStrictEqual(oldestCloses(EXPECTED.length), [243.6, 245.51, 246.3, 248.98, 245.75, 251.0, 254.59, 257.19])
+})
+
+test('wilder rsi soa kernel matches the hand-computed values', () => {
+  const closes = Float64Array.from(oldestCloses(EXPECTED.length))
+  const ohlcSystem = { length: closes.length, closes, rsis: new Float64Array(closes.length) }
+  rsi.soa(ohlcSystem, { window: WINDOW, mode: 'wilder' })
+  assertCloseTo(Array.from(ohlcSystem.rsis), EXPECTED)
+})
+
+test('wilder rsi aos kernel matches the hand-computed values', () => {
+  const ohlcs = oldestCloses(EXPECTED.length).map(close => ({ close }))
+  rsi.aos(ohlcs, { window: WINDOW, mode: 'wilder' })
+  assertCloseTo(ohlcs.map(ohlc => ohlc.rsi), EXPECTED)
+})
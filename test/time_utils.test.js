@@ -0,0 +1,19 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { constants } = require('perf_hooks')
+const TimeUtils = require('../src/util/time_utils.js')
+
+test('the gc kind is read from the entry detail, or the entry itself before Node.js 16', () => {
+  const major = constants.NODE_PERFORMANCE_GC_MAJOR
+  assert.strictEqual(TimeUtils.gcKind({ detail: { kind: major } }), major)
+  assert.strictEqual(TimeUtils.gcKind({ kind: major }), major)
+})
+
+test('benchmark reports the timings and gc stats of each iteration', async () => {
+  const stats = {}
+  const result = await TimeUtils.benchmark(stats, 'stage', 'test: stage', () => Array.from({ length: 1000 }, (_, i) => ({ i })).length,
+    { warmup: 1, iterations: 3 })
+  assert.strictEqual(result, 1000)
+  assert.strictEqual(stats.stage.samples.length, 3)
+  assert.ok(stats.stage.gc.count >= stats.stage.gc.majorCount)
+})
@@ -0,0 +1,68 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const OhlcSystem = require('../src/ohlc_system.js')
+const WorkerPool = require('../src/util/worker_pool.js')
+
+// a registry whose indicator ends its worker thread when `crash` is set, and otherwise doubles the close
+const REGISTRY_SOURCE = `
+const IndicatorRegistry = require(${JSON.stringify(require.resolve('../src/indicator_registry.js'))})
+module.exports = new IndicatorRegistry().register({
+  name: 'double',
+  inputs: ['close'],
+  outputs: ['double'],
+  params: { crash: false },
+  aos () {},
+  soa (ohlcSystem, { crash }) {
+    if (crash) {
+      process.exit(1)
+    }
+    for (let i = 0; i < ohlcSystem.length; ++i) {
+      ohlcSystem.doubles[i] = 2.0 * ohlcSystem.closes[i]
+    }
+  }
+})
+`
+
+test('replaces a worker thread which exits, rejecting only its task', async () => {
+  const registryFilename = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'node-dod-')), 'registry.js')
+  fs.writeFileSync(registryFilename, REGISTRY_SOURCE)
+  const registry = require(registryFilename)
+  const ohlcSystem = new OhlcSystem(2, registry, { shared: true })
+  ohlcSystem.append({ timestamp: 0, open: 1.0, high: 1.0, low: 1.0, close: 1.5, volume: 1.0 })
+  ohlcSystem.append({ timestamp: 1, open: 1.0, high: 1.0, low: 1.0, close: 2.5, volume: 1.0 })
+
+  const pool = new WorkerPool(1, registryFilename)
+  try {
+    await assert.rejects(pool.calculate(ohlcSystem, 2, 'incremental', { double: { crash: true } }), /worker thread exited/)
+    assert.strictEqual(pool.workers.length, 1)
+    // the replacement maps the arena attached before the crash
+    await pool.calculate(ohlcSystem, 2)
+    assert.deepStrictEqual(Array.from(ohlcSystem.doubles.subarray(0, 2)), [3.0, 5.0])
+  } finally {
+    await pool.close()
+  }
+})
+
+test('stops replacing worker threads which fail to start, rejecting the queued and later tasks', async () => {
+  const registry = require('../src/indicators/index.js')
+  const ohlcSystem = new OhlcSystem(1, registry, { shared: true })
+  ohlcSystem.append({ timestamp: 0, open: 1.0, high: 1.0, low: 1.0, close: 1.0, volume: 1.0 })
+
+  const pool = new WorkerPool(2, path.join(os.tmpdir(), 'node-dod-nonexistent', 'registry.js'))
+  try {
+    // the tasks running on the failing workers are rejected with their errors
+    await assert.rejects(pool.calculate(ohlcSystem, 2), /Cannot find module/)
+    for (let i = 0; i < 100 && !pool.error; ++i) {
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+    assert.match(pool.error.message, /worker threads failed to start 3 times in a row/)
+    await assert.rejects(pool.calculate(ohlcSystem, 2), /worker threads failed to start 3 times in a row/)
+    await new Promise(resolve => setTimeout(resolve, 200)) // no replacements are started after the failures
+    assert.strictEqual(pool.workers.length, 0)
+  } finally {
+    await pool.close()
+  }
+})